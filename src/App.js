@@ -1,17 +1,101 @@
 import * as React from 'react';
-import { useState } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { JointWrapper, Tables } from './Components/TruthTable';
 import { LogicForm } from './Components/LogicForm';
+import { EquivalenceChecker } from './Components/EquivalenceChecker';
+import { ArgumentChecker } from './Components/ArgumentChecker';
+import { ProofChecker } from './Components/ProofChecker';
+import { ReverseTable } from './Components/ReverseTable';
+import { Workspaces } from './Components/Workspaces';
+import { ShareLink } from './Components/ShareLink';
+import { NotationPicker } from './Components/NotationPicker';
+import { defaultNotation } from './Components/formatters';
+import { LogicPicker } from './Components/LogicPicker';
+import { TableSettings } from './Components/TableSettings';
+import { defaultTableSettings } from './Components/tableData';
+import { classical } from './Components/logics';
+import { ModelEditor } from './Components/FirstOrder';
+import { emptyModel } from './Components/fol';
+import { KripkeEditor } from './Components/KripkeModel';
+import { emptyKripkeModel } from './Components/modal';
+import { isPropositional } from './Components/sentences';
+import {
+  hydrate,
+  loadWorkspaces,
+  newWorkspace,
+  saveWorkspaces,
+} from './Components/storage';
+import { clearPermalink, readPermalink } from './Components/permalink';
 import './style.css';
 
 // big thanks to https://online.stanford.edu/instructors/keith-schwarz
 // for https://web.stanford.edu/class/cs103/tools/truth-table-tool/
 
+/* A permalink in the address opens in a workspace of its own, so it never
+ * overwrites what the user already had.
+ */
+function loadInitialState() {
+  let stored = loadWorkspaces();
+  let linked = readPermalink();
+  if (linked === null) {
+    let workspace = stored.workspaces.find((w) => w.id === stored.current);
+    return { ...stored, sentences: hydrate(workspace.sentences) };
+  }
+
+  let workspace = newWorkspace(
+    'Enlace compartido',
+    linked.map((s) => s.plain)
+  );
+  return {
+    current: workspace.id,
+    workspaces: stored.workspaces.concat([workspace]),
+    sentences: linked,
+  };
+}
+
 export default function App() {
   const [input, setInput] = useState('');
   const [variables, setVariables] = useState([]);
-  const [sentences, setSentences] = useState([]);
+  const [stored] = useState(loadInitialState);
+  const [workspaces, setWorkspaces] = useState(stored.workspaces);
+  const [current, setCurrent] = useState(stored.current);
+  const [sentences, setSentences] = useState(stored.sentences);
   const [updater, setUpdater] = useState(false);
+  const [notation, setNotation] = useState(defaultNotation);
+  const [logic, setLogic] = useState(classical);
+  const [settings, setSettings] = useState(defaultTableSettings);
+  const [model, setModel] = useState(emptyModel);
+  const [kripke, setKripke] = useState(emptyKripkeModel);
+
+  useEffect(() => {
+    setWorkspaces((all) =>
+      all.map((w) =>
+        w.id === current
+          ? { ...w, sentences: sentences.map((s) => s.plain) }
+          : w
+      )
+    );
+  }, [sentences, current]);
+
+  useEffect(clearPermalink, []);
+
+  useEffect(() => {
+    saveWorkspaces({ current: current, workspaces: workspaces });
+  }, [current, workspaces]);
+
+  function switchTo(workspace) {
+    setCurrent(workspace.id);
+    setSentences(hydrate(workspace.sentences));
+  }
+
+  /* First-order and modal sentences have no truth tables, so the tools built
+   * on them only see the propositional ones. The list is kept between renders
+   * so the work those tools keep for it is not done again.
+   */
+  let propositional = useMemo(
+    () => sentences.filter(isPropositional),
+    [sentences]
+  );
 
   return (
     <div className="main">
@@ -42,6 +126,18 @@ export default function App() {
           <td>↔</td>
           <td>{'<=>, <->'}</td>
         </tr>
+        <tr>
+          <td>⊕</td>
+          <td>{'xor, ^^, \\oplus'}</td>
+        </tr>
+        <tr>
+          <td>↑</td>
+          <td>nand</td>
+        </tr>
+        <tr>
+          <td>↓</td>
+          <td>nor</td>
+        </tr>
         <tr>
           <td>⊤</td>
           <td>T</td>
@@ -50,19 +146,92 @@ export default function App() {
           <td>⊥</td>
           <td>F</td>
         </tr>
+        <tr>
+          <td>∀x</td>
+          <td>{'forall x, \\forall x'}</td>
+        </tr>
+        <tr>
+          <td>∃x</td>
+          <td>{'exists x, \\exists x'}</td>
+        </tr>
+        <tr>
+          <td>P(x), R(x, y)</td>
+          <td>P(x), R(x, y)</td>
+        </tr>
+        <tr>
+          <td>□</td>
+          <td>{'[], \\Box'}</td>
+        </tr>
+        <tr>
+          <td>◇</td>
+          <td>{'<>, \\Diamond'}</td>
+        </tr>
       </table>
       <br />
+      <Workspaces
+        workspaces={workspaces}
+        current={current}
+        setWorkspaces={setWorkspaces}
+        switchTo={switchTo}
+      />
+      <ShareLink sentences={sentences} />
       <div id="formContainer">
         <LogicForm
           sentences={sentences}
           setsentences={setSentences}
           input={input}
           setInput={setInput}
+          logic={logic}
         />
       </div>
+      <NotationPicker notation={notation} setNotation={setNotation} />
+      <LogicPicker logic={logic} setLogic={setLogic} />
+      <TableSettings
+        settings={settings}
+        setSettings={setSettings}
+        sentences={propositional}
+      />
       <div id="tableContainer">
-        <Tables sentences={sentences} setSentences={setSentences} />
-        <JointWrapper sentences={sentences} />
+        <ModelEditor sentences={sentences} model={model} setModel={setModel} />
+        <KripkeEditor
+          sentences={sentences}
+          model={kripke}
+          setModel={setKripke}
+          notation={notation}
+        />
+        <Tables
+          sentences={sentences}
+          setSentences={setSentences}
+          notation={notation}
+          logic={logic}
+          model={model}
+          setModel={setModel}
+          kripke={kripke}
+          setKripke={setKripke}
+          settings={settings}
+        />
+        <JointWrapper
+          sentences={propositional}
+          notation={notation}
+          logic={logic}
+          settings={settings}
+        />
+        <EquivalenceChecker
+          sentences={propositional}
+          notation={notation}
+          settings={settings}
+        />
+        <ArgumentChecker
+          sentences={propositional}
+          notation={notation}
+          settings={settings}
+        />
+        <ProofChecker notation={notation} />
+        <ReverseTable
+          sentences={sentences}
+          setSentences={setSentences}
+          settings={settings}
+        />
       </div>
     </div>
   );
@@ -1,8 +1,26 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+function addSentence(text) {
+  fireEvent.change(screen.getByLabelText('Ingrese una proposición logica'), {
+    target: { value: text },
+  });
+  fireEvent.click(screen.getByRole('button', { name: 'Agregar' }));
+}
+
+test('renders the table generator', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByText('Generador de tablas')).toBeInTheDocument();
+});
+
+test('classifies the sentences that are added and shows their tables', () => {
+  render(<App />);
+  addSentence('p \\/ ~p');
+  addSentence('p -> q');
+  expect(screen.getByText('Tautologia')).toBeInTheDocument();
+  expect(screen.getByText('Contingencia')).toBeInTheDocument();
+
+  let rows = screen.queryAllByRole('row').length;
+  fireEvent.click(screen.getByText('Contingencia'));
+  expect(screen.getAllByRole('row').length).toBeGreaterThanOrEqual(rows + 5);
 });
@@ -0,0 +1,198 @@
+import * as React from 'react';
+import { useEffect, useState } from 'react';
+import { checkArgument, parseArgument } from './argument';
+import { JobProgress } from './JobProgress';
+import { ParseError } from './LogicForm';
+import { classical } from './logics';
+import { jointVariables, valuationAt } from './sentences';
+import { kMaxTableRows } from './tableData';
+import { counterexamplesJob } from './tableJobs';
+import { JointTable } from './TruthTable';
+import { useTableJob } from './workerClient';
+
+export function ArgumentChecker({ sentences, notation, settings }) {
+  const [show, setShow] = useState(false);
+  const [mode, setMode] = useState('list');
+  const [roles, setRoles] = useState({});
+  const [text, setText] = useState('');
+
+  // Roles are kept by the text of the sentence, so they stay with it when the
+  // list changes; the ones of sentences that are gone are dropped
+  useEffect(() => {
+    setRoles((roles) => {
+      let kept = {};
+      for (let sentence of sentences) {
+        if (roles.hasOwnProperty(sentence.plain)) {
+          kept[sentence.plain] = roles[sentence.plain];
+        }
+      }
+      return kept;
+    });
+  }, [sentences]);
+
+  let argument = null;
+  let error = null;
+  if (mode === 'list') {
+    let premises = [];
+    let conclusion = null;
+    for (let sentence of sentences) {
+      if (roles[sentence.plain] === 'premise') premises.push(sentence);
+      if (roles[sentence.plain] === 'conclusion') conclusion = sentence;
+    }
+    if (conclusion !== null) {
+      argument = { premises: premises, conclusion: conclusion };
+    }
+  } else if (text.trim().length > 0) {
+    try {
+      argument = parseArgument(text);
+    } catch (e) {
+      error = e;
+    }
+  }
+
+  function setRole(plain, role) {
+    let next = { ...roles };
+    if (role === 'conclusion') {
+      for (let key in next) {
+        if (next[key] === 'conclusion') delete next[key];
+      }
+    }
+    next[plain] = role;
+    setRoles(next);
+  }
+
+  let input = <div />;
+  if (mode === 'list') {
+    let rows = [];
+    for (let i = 0; i < sentences.length; i++) {
+      rows.push(
+        <tr key={i}>
+          <td dangerouslySetInnerHTML={{ __html: `${sentences[i].format}` }} />
+          <td>
+            <select
+              value={roles[sentences[i].plain] || 'none'}
+              onChange={(e) => setRole(sentences[i].plain, e.target.value)}
+            >
+              <option value="none">—</option>
+              <option value="premise">Premisa</option>
+              <option value="conclusion">Conclusión</option>
+            </select>
+          </td>
+        </tr>
+      );
+    }
+    input = (
+      <table className="stepTable">
+        <tbody>{rows}</tbody>
+      </table>
+    );
+  } else {
+    input = (
+      <div>
+        <input
+          className="textBox"
+          type="text"
+          placeholder="p -> q, p |- q"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <ParseError input={text} error={error} className="parseHint" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="tableWrapper" onClick={() => setShow(!show)}>
+      <div className="tableTitle">
+        <p>Validez de argumentos</p>
+      </div>
+      {show ? (
+        <div className="derivations" onClick={(e) => e.stopPropagation()}>
+          <select value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="list">Marcar proposiciones de la lista</option>
+            <option value="text">Escribir el argumento</option>
+          </select>
+          {input}
+          {argument ? (
+            <ArgumentResult
+              argument={argument}
+              notation={notation}
+              settings={settings}
+            />
+          ) : (
+            <div />
+          )}
+        </div>
+      ) : (
+        <div />
+      )}
+    </div>
+  );
+}
+
+/* Only this many counterexamples are listed; the joint table shows them all. */
+const kListedCounterexamples = 16;
+
+/* Whether the argument is valid, which the SAT solver decides, and the joint
+ * table of its sentences with the counterexamples, which are looked for as a
+ * table job when the table is small enough to show.
+ */
+function ArgumentResult({ argument, notation, settings }) {
+  let { premises, conclusion } = argument;
+  let check = checkArgument(premises, conclusion);
+
+  let sentences = premises.concat([conclusion]);
+  let vars = jointVariables(sentences);
+  let tooMany = Math.pow(2, vars.length) > kMaxTableRows;
+  let rowsTask = useTableJob(
+    check.valid || tooMany ? null : counterexamplesJob(premises, conclusion)
+  );
+
+  let describe = (valueOf) =>
+    vars.map((v, j) => v + ' = ' + (valueOf(v, j) ? 'T' : 'F')).join(', ');
+  let counterexamples;
+  if (rowsTask.result !== null) {
+    let rows = Array.from(rowsTask.result.slice(0, kListedCounterexamples));
+    counterexamples = rows.map((row) => {
+      let assignment = valuationAt(row, vars.length, classical.values);
+      return <li key={row}>{describe((v, j) => assignment[j])}</li>;
+    });
+    let rest = rowsTask.result.length - rows.length;
+    if (rest > 0) {
+      counterexamples.push(<li key="rest">y {rest} más</li>);
+    }
+  } else if (!check.valid) {
+    counterexamples = [
+      <li key="model">{describe((v) => check.counterexample[v])}</li>,
+    ];
+    if (!tooMany) {
+      counterexamples.push(
+        <li key="progress">
+          <JobProgress task={rowsTask} label="Buscando los demás" />
+        </li>
+      );
+    }
+  }
+
+  return (
+    <div>
+      {check.valid ? (
+        <p style={{ color: '#20615B' }}>Argumento válido</p>
+      ) : (
+        <div>
+          <p style={{ color: '#A21232' }}>
+            Argumento inválido. Contraejemplos (premisas verdaderas y conclusión
+            falsa):
+          </p>
+          <ul>{counterexamples}</ul>
+        </div>
+      )}
+      <JointTable
+        sentences={sentences}
+        highlight={rowsTask.result === null ? [] : rowsTask.result}
+        notation={notation}
+        settings={settings}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import * as React from 'react';
+import { useMemo, useState } from 'react';
+import {
+  bases,
+  kMaxRewriteNodes,
+  rewriteInBasis,
+  writtenSize,
+} from './complete';
+import { checkEquivalence } from './equivalence';
+import { formatNode } from './formatters';
+import { makeSentence } from './sentences';
+import { Formula } from './NotationPicker';
+
+export function Completeness({ sentence, addSentence, notation }) {
+  const [basis, setBasis] = useState(bases[0].name);
+  const [showSteps, setShowSteps] = useState(false);
+  const [open, setOpen] = useState(false);
+
+  let picker = (
+    <select value={basis} onChange={(e) => setBasis(e.target.value)}>
+      {bases.map((b) => (
+        <option key={b.name} value={b.name}>
+          {b.label}
+        </option>
+      ))}
+    </select>
+  );
+
+  // rewriting and checking can take long on big formulas, so they wait until
+  // the section is opened, and are not done again on every render
+  let work = useMemo(() => {
+    if (!open || sentence.vars.length === 0) {
+      return null;
+    }
+    let rewrite = rewriteInBasis(sentence.node, basis);
+    if (writtenSize(rewrite.result) > kMaxRewriteNodes) {
+      return { rewrite: rewrite, rewritten: null, check: null };
+    }
+    let rewritten = makeSentence(
+      formatNode(rewrite.result, sentence.vars, 'ascii')
+    );
+    let check = checkEquivalence(sentence, rewritten);
+    return { rewrite: rewrite, rewritten: rewritten, check: check };
+  }, [open, sentence, basis]);
+
+  if (sentence.vars.length === 0) {
+    return (
+      <details>
+        <summary>Conjuntos completos de conectivos</summary>
+        <p>Sin variables no se pueden escribir ⊤ ni ⊥ con estos conectivos.</p>
+      </details>
+    );
+  }
+
+  if (!open) {
+    return (
+      <details onToggle={(e) => setOpen(e.target.open)}>
+        <summary>Conjuntos completos de conectivos</summary>
+      </details>
+    );
+  }
+
+  let { rewrite, rewritten, check } = work;
+  if (rewritten === null) {
+    return (
+      <details open onToggle={(e) => setOpen(e.target.open)}>
+        <summary>Conjuntos completos de conectivos</summary>
+        <div className="picker">{picker}</div>
+        <p>
+          Escrita con estos conectivos, la proposición tendría más de{' '}
+          {kMaxRewriteNodes} símbolos, demasiados para mostrarla.
+        </p>
+      </details>
+    );
+  }
+
+  let steps = rewrite.steps.map((step, i) => (
+    <tr key={i}>
+      <td>{i + 1}.</td>
+      <td className="stepFormula">
+        <Formula node={step.before} vars={sentence.vars} notation={notation} />
+        {' ≡ '}
+        <Formula node={step.after} vars={sentence.vars} notation={notation} />
+      </td>
+      <td className="stepRule">{step.rule}</td>
+    </tr>
+  ));
+
+  return (
+    <details open onToggle={(e) => setOpen(e.target.open)}>
+      <summary>Conjuntos completos de conectivos</summary>
+      <div className="picker">
+        {picker}
+        <label>
+          <input
+            type="checkbox"
+            checked={showSteps}
+            onChange={(e) => setShowSteps(e.target.checked)}
+          />
+          Mostrar sustituciones
+        </label>
+      </div>
+      {showSteps ? (
+        <table className="stepTable">
+          <tbody>{steps}</tbody>
+        </table>
+      ) : (
+        <div />
+      )}
+      <table className="stepTable">
+        <tbody>
+          <tr>
+            <td>Resultado</td>
+            <td>
+              <Formula
+                node={rewritten.node}
+                vars={rewritten.vars}
+                notation={notation}
+              />
+            </td>
+            <td>
+              <button
+                className="smallbutton"
+                onClick={() => addSentence(rewritten)}
+              >
+                Agregar
+              </button>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      {check.equivalent ? (
+        <p style={{ color: '#20615B' }}>
+          Equivalente a la original: coinciden en todas las filas de la tabla.
+        </p>
+      ) : (
+        <p style={{ color: '#A21232' }}>
+          No es equivalente: difiere, por ejemplo, con{' '}
+          {sentence.vars
+            .map((v) => v + ' = ' + (check.counterexample[v] ? 'T' : 'F'))
+            .join(', ')}
+          .
+        </p>
+      )}
+    </details>
+  );
+}
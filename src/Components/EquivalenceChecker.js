@@ -0,0 +1,184 @@
+import * as React from 'react';
+import { useState } from 'react';
+import { checkEquivalence } from './equivalence';
+import { JobProgress } from './JobProgress';
+import { ParseError } from './LogicForm';
+import { isPropositional, jointVariables, makeSentence } from './sentences';
+import { kMaxTableRows } from './tableData';
+import { disagreementsJob } from './tableJobs';
+import { JointTable } from './TruthTable';
+import { useTableJob } from './workerClient';
+
+export function EquivalenceChecker({ sentences, notation, settings }) {
+  const [show, setShow] = useState(false);
+  const [left, setLeft] = useState({ choice: 'text', text: '' });
+  const [right, setRight] = useState({ choice: 'text', text: '' });
+
+  let a = pickSentence(left, sentences);
+  let b = pickSentence(right, sentences);
+
+  let result = <div />;
+  if (a.sentence && b.sentence) {
+    result = (
+      <EquivalenceResult
+        a={a.sentence}
+        b={b.sentence}
+        notation={notation}
+        settings={settings}
+      />
+    );
+  }
+
+  return (
+    <div className="tableWrapper" onClick={() => setShow(!show)}>
+      <div className="tableTitle">
+        <p>Equivalencia</p>
+      </div>
+      {show ? (
+        <div className="derivations" onClick={(e) => e.stopPropagation()}>
+          <SentencePicker
+            label="A"
+            sentences={sentences}
+            value={left}
+            setValue={setLeft}
+            error={a.error}
+          />
+          <SentencePicker
+            label="B"
+            sentences={sentences}
+            value={right}
+            setValue={setRight}
+            error={b.error}
+          />
+          {result}
+        </div>
+      ) : (
+        <div />
+      )}
+    </div>
+  );
+}
+
+/* Whether a and b are equivalent, which the SAT solver decides, and their
+ * joint table with the rows on which they differ, which are looked for as a
+ * table job when the table is small enough to show.
+ */
+function EquivalenceResult({ a, b, notation, settings }) {
+  let check = checkEquivalence(a, b);
+  let vars = jointVariables([a, b]);
+  let tooMany = Math.pow(2, vars.length) > kMaxTableRows;
+  let rowsTask = useTableJob(
+    check.equivalent || tooMany ? null : disagreementsJob(a, b)
+  );
+
+  let verdict;
+  if (check.equivalent) {
+    verdict = <p style={{ color: '#20615B' }}>Equivalentes: A ≡ B</p>;
+  } else if (rowsTask.result !== null) {
+    let rows = rowsTask.result.length;
+    verdict = (
+      <p style={{ color: '#A21232' }}>
+        No equivalentes: difieren en {rows} {rows === 1 ? 'fila' : 'filas'}
+      </p>
+    );
+  } else {
+    let assignment = vars
+      .map((v) => v + ' = ' + (check.counterexample[v] ? 'T' : 'F'))
+      .join(', ');
+    verdict = (
+      <p style={{ color: '#A21232' }}>
+        No equivalentes: difieren, por ejemplo, con {assignment}.{' '}
+        {tooMany ? (
+          <span />
+        ) : (
+          <JobProgress task={rowsTask} label="Buscando las filas" />
+        )}
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      {verdict}
+      <JointTable
+        sentences={[a, b, check.sentence]}
+        highlight={rowsTask.result === null ? [] : rowsTask.result}
+        notation={notation}
+        settings={settings}
+      />
+    </div>
+  );
+}
+
+/* Resolves a picker value to a sentence, either one from the list or the
+ * typed formula. First-order and modal formulas have no table to compare.
+ */
+function pickSentence(value, sentences) {
+  if (value.choice !== 'text' && sentences[value.choice] != null) {
+    return { sentence: sentences[value.choice] };
+  }
+  if (value.text.trim().length === 0) {
+    return {};
+  }
+  let sentence;
+  try {
+    sentence = makeSentence(value.text);
+  } catch (error) {
+    return { error: error };
+  }
+  if (!isPropositional(sentence)) {
+    return {
+      error: {
+        description: 'Esta fórmula no tiene tabla de verdad.',
+        start: 0,
+        end: value.text.length,
+      },
+    };
+  }
+  return { sentence: sentence };
+}
+
+export function SentencePicker({ label, sentences, value, setValue, error }) {
+  let options = [
+    <option key="text" value="text">
+      Escribir fórmula…
+    </option>,
+  ];
+  for (let i = 0; i < sentences.length; i++) {
+    options.push(
+      <option key={i} value={i}>
+        {sentences[i].plain}
+      </option>
+    );
+  }
+
+  let choice = value.choice;
+  if (choice !== 'text' && sentences[choice] == null) {
+    choice = 'text';
+  }
+
+  return (
+    <div className="picker">
+      <span>{label}: </span>
+      <select
+        value={choice}
+        onChange={(e) => setValue({ ...value, choice: e.target.value })}
+      >
+        {options}
+      </select>
+      {choice === 'text' ? (
+        <div>
+          <input
+            className="textBox"
+            type="text"
+            value={value.text}
+            onChange={(e) => setValue({ ...value, text: e.target.value })}
+          />
+          <ParseError input={value.text} error={error} className="parseHint" />
+        </div>
+      ) : (
+        <span />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,390 @@
+import * as React from 'react';
+import { useMemo, useState } from 'react';
+import { Formula } from './NotationPicker';
+import { classical } from './logics';
+import {
+  holds,
+  kMaxEditorDomain,
+  kMaxSearchDomain,
+  resizeModel,
+  searchCountermodel,
+  searchModel,
+  signatureOf,
+  tuplesOf,
+} from './fol';
+
+/* Elements are numbered from 0 in the models and from 1 on screen. */
+const elementName = (d) => String(d + 1);
+const tupleName = (key) =>
+  key.includes(',')
+    ? '(' + key.split(',').map(Number).map(elementName).join(', ') + ')'
+    : elementName(Number(key));
+
+/* The editor for the model the first-order sentences are evaluated in. It only
+ * shows up once there is some first-order sentence to interpret.
+ */
+export function ModelEditor({ sentences, model, setModel }) {
+  const [show, setShow] = useState(false);
+  let firstOrder = sentences.filter((s) => s.firstOrder);
+  if (firstOrder.length === 0) {
+    return <div />;
+  }
+  let signature = signatureOf(firstOrder);
+
+  let elements = Array.from({ length: model.size }, (x, d) => d);
+
+  function togglePredicate(name, key) {
+    let extension = model.predicates[name] || [];
+    extension = extension.includes(key)
+      ? extension.filter((k) => k !== key)
+      : extension.concat([key]);
+    setModel({
+      ...model,
+      predicates: { ...model.predicates, [name]: extension },
+    });
+  }
+
+  let sizes = [];
+  for (let n = 1; n <= kMaxEditorDomain; n++) {
+    sizes.push(
+      <option key={n} value={n}>
+        {n}
+      </option>
+    );
+  }
+
+  let constants = signature.constants.map((c) => (
+    <div key={c}>
+      {c} ={' '}
+      <select
+        value={model.constants[c] || 0}
+        onChange={(e) =>
+          setModel({
+            ...model,
+            constants: { ...model.constants, [c]: Number(e.target.value) },
+          })
+        }
+      >
+        {elements.map((d) => (
+          <option key={d} value={d}>
+            {elementName(d)}
+          </option>
+        ))}
+      </select>
+    </div>
+  ));
+
+  let atoms = signature.atoms.map((a) => (
+    <label key={a}>
+      <input
+        type="checkbox"
+        checked={model.atoms[a] === true}
+        onChange={(e) =>
+          setModel({
+            ...model,
+            atoms: { ...model.atoms, [a]: e.target.checked },
+          })
+        }
+      />
+      {a}{' '}
+    </label>
+  ));
+
+  let predicates = signature.predicates.map((p) => (
+    <ExtensionEditor
+      key={p.name}
+      predicate={p}
+      size={model.size}
+      extension={model.predicates[p.name] || []}
+      toggle={(key) => togglePredicate(p.name, key)}
+    />
+  ));
+
+  return (
+    <div className="tableWrapper" onClick={() => setShow(!show)}>
+      <div className="tableTitle">
+        <p>Modelo de primer orden</p>
+      </div>
+      {show ? (
+        <div className="derivations" onClick={(e) => e.stopPropagation()}>
+          <div>
+            Dominio:{' '}
+            <select
+              value={model.size}
+              onChange={(e) =>
+                setModel(resizeModel(model, Number(e.target.value)))
+              }
+            >
+              {sizes}
+            </select>{' '}
+            elementos, {'{'}
+            {elements.map(elementName).join(', ')}
+            {'}'}
+          </div>
+          {constants}
+          {atoms.length > 0 ? <div>Verdaderas: {atoms}</div> : <div />}
+          {predicates}
+        </div>
+      ) : (
+        <div />
+      )}
+    </div>
+  );
+}
+
+/* Unary predicates are a row of checkboxes and binary ones a grid with the
+ * first argument on the rows. Longer ones list every tuple.
+ */
+function ExtensionEditor({ predicate, size, extension, toggle }) {
+  let box = (key) => (
+    <input
+      type="checkbox"
+      checked={extension.includes(key)}
+      onChange={() => toggle(key)}
+    />
+  );
+
+  let elements = Array.from({ length: size }, (x, d) => d);
+  let body;
+  if (predicate.arity === 1) {
+    body = (
+      <tbody>
+        <tr>
+          {elements.map((d) => (
+            <th key={d}>{elementName(d)}</th>
+          ))}
+        </tr>
+        <tr>
+          {elements.map((d) => (
+            <td key={d}>{box(String(d))}</td>
+          ))}
+        </tr>
+      </tbody>
+    );
+  } else if (predicate.arity === 2) {
+    body = (
+      <tbody>
+        <tr>
+          <th />
+          {elements.map((d) => (
+            <th key={d}>{elementName(d)}</th>
+          ))}
+        </tr>
+        {elements.map((d) => (
+          <tr key={d}>
+            <th>{elementName(d)}</th>
+            {elements.map((e) => (
+              <td key={e}>{box(d + ',' + e)}</td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    );
+  } else {
+    body = (
+      <tbody>
+        {tuplesOf(size, predicate.arity).map((t) => (
+          <tr key={t.join(',')}>
+            <td>{tupleName(t.join(','))}</td>
+            <td>{box(t.join(','))}</td>
+          </tr>
+        ))}
+      </tbody>
+    );
+  }
+
+  return (
+    <div>
+      <span>
+        {predicate.name}/{predicate.arity}:
+      </span>
+      <table className="extensionTable">{body}</table>
+    </div>
+  );
+}
+
+/* Function: ModelView
+ *
+ * Writes out a model for the given sentences.
+ */
+export function ModelView({ model, sentences }) {
+  let signature = signatureOf(sentences);
+  let lines = [];
+  let domain = Array.from({ length: model.size }, (x, d) => elementName(d));
+  lines.push('Dominio = {' + domain.join(', ') + '}');
+  for (let c of signature.constants) {
+    lines.push(c + ' = ' + elementName(model.constants[c] || 0));
+  }
+  for (let a of signature.atoms) {
+    lines.push(a + ' = ' + (model.atoms[a] ? 'T' : 'F'));
+  }
+  for (let p of signature.predicates) {
+    let extension = (model.predicates[p.name] || []).map(tupleName);
+    lines.push(p.name + ' = {' + extension.join(', ') + '}');
+  }
+
+  return (
+    <ul className="modelView">
+      {lines.map((line) => (
+        <li key={line}>{line}</li>
+      ))}
+    </ul>
+  );
+}
+
+/* Reports the result of a model search, with a button that loads the model
+ * found into the editor.
+ */
+function SearchResult({ title, result, sentence, setModel, none }) {
+  if (result.model === null) {
+    return (
+      <div>
+        <p>{title}</p>
+        <p className="treeHint">
+          {result.searched === 0
+            ? 'Hay demasiadas interpretaciones para buscar.'
+            : none +
+              ' con dominios de hasta ' +
+              result.searched +
+              ' elementos.'}
+        </p>
+      </div>
+    );
+  }
+  return (
+    <div>
+      <p>
+        {title} ({result.searched}{' '}
+        {result.searched === 1 ? 'elemento' : 'elementos'}){' '}
+        <button className="smallbutton" onClick={() => setModel(result.model)}>
+          Usar en el editor
+        </button>
+      </p>
+      <ModelView model={result.model} sentences={[sentence]} />
+    </div>
+  );
+}
+
+/* The search for models and countermodels of the sentence. It can go through
+ * tens of thousands of interpretations, so it only runs once the section is
+ * opened, and again only when the sentence changes.
+ */
+function ModelSearch({ sentence, setModel }) {
+  const [open, setOpen] = useState(false);
+  let results = useMemo(
+    () =>
+      open
+        ? {
+            model: searchModel([sentence]),
+            countermodel: searchCountermodel(sentence),
+          }
+        : null,
+    [open, sentence]
+  );
+
+  if (results === null) {
+    return (
+      <details onToggle={(e) => setOpen(e.target.open)}>
+        <summary>Buscar modelos y contramodelos</summary>
+      </details>
+    );
+  }
+  return (
+    <details open onToggle={(e) => setOpen(e.target.open)}>
+      <summary>Buscar modelos y contramodelos</summary>
+      <SearchResult
+        title="Modelo"
+        result={results.model}
+        sentence={sentence}
+        setModel={setModel}
+        none="No tiene modelos"
+      />
+      <SearchResult
+        title="Contramodelo"
+        result={results.countermodel}
+        sentence={sentence}
+        setModel={setModel}
+        none="No tiene contramodelos"
+      />
+      <p className="treeHint">
+        La búsqueda prueba dominios de 1 a {kMaxSearchDomain} elementos; que no
+        haya contramodelos pequeños no prueba que la fórmula sea válida.
+      </p>
+    </details>
+  );
+}
+
+/* Function: FirstOrderWrapper
+ *
+ * Takes the place of the truth table for first-order sentences: the title says
+ * whether the sentence holds in the model of the editor, and opening it offers
+ * to look for models and countermodels on small domains.
+ */
+export function FirstOrderWrapper({
+  sentence,
+  removeSentence,
+  toggleSentence,
+  index,
+  notation,
+  logic = classical,
+  model,
+  setModel,
+}) {
+  let search = <div />;
+  if (sentence.open) {
+    search = (
+      <div className="derivations" onClick={(e) => e.stopPropagation()}>
+        {logic !== classical ? (
+          <p className="treeHint">
+            Las fórmulas de primer orden se evalúan en la lógica clásica.
+          </p>
+        ) : (
+          <div />
+        )}
+        <ModelSearch sentence={sentence} setModel={setModel} />
+      </div>
+    );
+  }
+
+  let value = holds(sentence, model);
+
+  return (
+    <div>
+      <div className="tableWrapper" onClick={() => toggleSentence(index)}>
+        <div className="tableTitle">
+          <div className="sentTitle">
+            <div
+              style={{
+                fontWeight: 'bolder',
+                color: '#A21232',
+                float: 'left',
+                paddingLeft: '10px',
+              }}
+              onClick={(e) => {
+                e.stopPropagation();
+                removeSentence(index);
+              }}
+            >
+              X
+            </div>
+            <div>
+              <Formula
+                node={sentence.node}
+                vars={sentence.vars}
+                notation={notation}
+              />
+            </div>
+          </div>
+          <div className="logicType" />
+          <p
+            className="logicType"
+            style={{ color: value ? '#20615B' : '#A21232' }}
+          >
+            {value ? 'Verdadera en el modelo' : 'Falsa en el modelo'}
+          </p>
+        </div>
+        <div>{search}</div>
+      </div>
+    </div>
+  );
+}
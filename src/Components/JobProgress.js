@@ -0,0 +1,37 @@
+import * as React from 'react';
+
+/* Shows how far a job run with useTableJob (see workerClient.js) has got,
+ * with a button to cancel it, or to start it again once cancelled.
+ */
+export function JobProgress({ task, label }) {
+  let stop = (action) => (e) => {
+    e.stopPropagation();
+    action();
+  };
+
+  if (task.cancelled) {
+    return (
+      <span className="jobProgress">
+        Cancelado.{' '}
+        <button className="smallbutton" onClick={stop(task.retry)}>
+          Reintentar
+        </button>
+      </span>
+    );
+  }
+
+  let percent =
+    task.progress === null
+      ? ''
+      : ' ' +
+        Math.floor((100 * task.progress.done) / task.progress.total) +
+        '%';
+  return (
+    <span className="jobProgress">
+      {label}…{percent}{' '}
+      <button className="smallbutton" onClick={stop(task.cancel)}>
+        Cancelar
+      </button>
+    </span>
+  );
+}
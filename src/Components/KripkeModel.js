@@ -0,0 +1,372 @@
+import * as React from 'react';
+import { useMemo, useState } from 'react';
+import { Formula } from './NotationPicker';
+import { classical, valueColor, valueLabel } from './logics';
+import { jointVariables } from './sentences';
+import {
+  checkValidity,
+  frameClasses,
+  frameProperties,
+  kMaxEditorWorlds,
+  resizeKripkeModel,
+  valuesAt,
+} from './modal';
+
+/* Worlds are numbered from 0 in the models and from 1 on screen. */
+const worldName = (w) => 'w' + (w + 1);
+
+function ValueCell({ value }) {
+  return (
+    <td style={{ color: valueColor(classical, value) }}>
+      {valueLabel(classical, value)}
+    </td>
+  );
+}
+
+/* The editor for the Kripke model the modal sentences are evaluated in, with
+ * the value of each of them at every world. It only shows up once there is
+ * some modal sentence.
+ */
+export function KripkeEditor({ sentences, model, setModel, notation }) {
+  const [show, setShow] = useState(false);
+  let modal = sentences.filter((s) => s.modal);
+  if (modal.length === 0) {
+    return <div />;
+  }
+  let vars = jointVariables(modal);
+  let worlds = Array.from({ length: model.size }, (x, w) => w);
+
+  function toggle(list, item) {
+    return list.includes(item)
+      ? list.filter((i) => i !== item)
+      : list.concat([item]);
+  }
+
+  let sizes = [];
+  for (let n = 1; n <= kMaxEditorWorlds; n++) {
+    sizes.push(
+      <option key={n} value={n}>
+        {n}
+      </option>
+    );
+  }
+
+  let relation = (
+    <table className="extensionTable">
+      <tbody>
+        <tr>
+          <th />
+          {worlds.map((w) => (
+            <th key={w}>{worldName(w)}</th>
+          ))}
+        </tr>
+        {worlds.map((a) => (
+          <tr key={a}>
+            <th>{worldName(a)}</th>
+            {worlds.map((b) => (
+              <td key={b}>
+                <input
+                  type="checkbox"
+                  checked={model.relation.includes(a + ',' + b)}
+                  onChange={() =>
+                    setModel({
+                      ...model,
+                      relation: toggle(model.relation, a + ',' + b),
+                    })
+                  }
+                />
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  let valuation = (
+    <table className="extensionTable">
+      <tbody>
+        <tr>
+          <th />
+          {vars.map((v) => (
+            <th key={v}>{v}</th>
+          ))}
+        </tr>
+        {worlds.map((w) => (
+          <tr key={w}>
+            <th>{worldName(w)}</th>
+            {vars.map((v) => (
+              <td key={v}>
+                <input
+                  type="checkbox"
+                  checked={(model.valuation[v] || []).includes(w)}
+                  onChange={() =>
+                    setModel({
+                      ...model,
+                      valuation: {
+                        ...model.valuation,
+                        [v]: toggle(model.valuation[v] || [], w),
+                      },
+                    })
+                  }
+                />
+              </td>
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  let properties = frameProperties(model);
+  let names = [
+    ['reflexiva', properties.reflexive],
+    ['simétrica', properties.symmetric],
+    ['transitiva', properties.transitive],
+  ];
+  let has = names.filter(([name, yes]) => yes).map(([name]) => name);
+
+  let values = (
+    <table className="modalValues">
+      <tbody>
+        <tr>
+          <th />
+          {worlds.map((w) => (
+            <th key={w}>{worldName(w)}</th>
+          ))}
+        </tr>
+        {modal.map((s, i) => (
+          <tr key={i}>
+            <td>
+              <Formula node={s.node} vars={s.vars} notation={notation} />
+            </td>
+            {valuesAt(s, model).map((value, w) => (
+              <ValueCell key={w} value={value} />
+            ))}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div className="tableWrapper" onClick={() => setShow(!show)}>
+      <div className="tableTitle">
+        <p>Modelo de Kripke</p>
+      </div>
+      {show ? (
+        <div className="derivations" onClick={(e) => e.stopPropagation()}>
+          <div>
+            Mundos:{' '}
+            <select
+              value={model.size}
+              onChange={(e) =>
+                setModel(resizeKripkeModel(model, Number(e.target.value)))
+              }
+            >
+              {sizes}
+            </select>
+          </div>
+          <div>
+            <span>Accesibilidad (de la fila a la columna):</span>
+            {relation}
+            <p className="treeHint">
+              Relación {has.length > 0 ? has.join(', ') : 'sin propiedades'}.
+            </p>
+          </div>
+          {vars.length > 0 ? (
+            <div>
+              <span>Valuación:</span>
+              {valuation}
+            </div>
+          ) : (
+            <div />
+          )}
+          {values}
+        </div>
+      ) : (
+        <div />
+      )}
+    </div>
+  );
+}
+
+/* Writes out a Kripke model found by the validity check. */
+function KripkeView({ model, vars }) {
+  let lines = [];
+  lines.push(
+    'Mundos = {' +
+      Array.from({ length: model.size }, (x, w) => worldName(w)).join(', ') +
+      '}'
+  );
+  let pairs = model.relation.map((key) => {
+    let [a, b] = key.split(',').map(Number);
+    return '(' + worldName(a) + ', ' + worldName(b) + ')';
+  });
+  lines.push('R = {' + pairs.join(', ') + '}');
+  for (let v of vars) {
+    lines.push(
+      v + ' = {' + (model.valuation[v] || []).map(worldName).join(', ') + '}'
+    );
+  }
+  return (
+    <ul className="modelView">
+      {lines.map((line) => (
+        <li key={line}>{line}</li>
+      ))}
+    </ul>
+  );
+}
+
+/* Checks the sentence on every class of frames. The search goes through up to
+ * a hundred thousand models per class, so it only runs once the section is
+ * opened, and again only when the sentence changes.
+ */
+function ValidityCheck({ sentence, setKripke }) {
+  const [open, setOpen] = useState(false);
+  let checks = useMemo(
+    () =>
+      open
+        ? frameClasses.map((frameClass) => checkValidity(sentence, frameClass))
+        : null,
+    [open, sentence]
+  );
+
+  if (checks === null) {
+    return (
+      <details onToggle={(e) => setOpen(e.target.open)}>
+        <summary>Validez en clases de marcos</summary>
+      </details>
+    );
+  }
+
+  let results = frameClasses.map((frameClass, i) => {
+    let result = checks[i];
+    let verdict = (
+      <span className="treeHint">demasiadas variables para comprobar</span>
+    );
+    if (result.checked && result.valid) {
+      let upTo =
+        ' (hasta ' +
+        result.searched +
+        (result.searched === 1 ? ' mundo)' : ' mundos)');
+      verdict = <span className="stepOk">válida{upTo}</span>;
+    } else if (result.checked) {
+      verdict = (
+        <span className="stepError">
+          no válida, falla en {worldName(result.world)}{' '}
+          <button
+            className="smallbutton"
+            onClick={() => setKripke(result.model)}
+          >
+            Usar en el editor
+          </button>
+        </span>
+      );
+    }
+    return (
+      <div key={frameClass.name}>
+        <p>
+          {frameClass.name}, {frameClass.label}: {verdict}
+        </p>
+        {result.model === null ? (
+          <div />
+        ) : (
+          <KripkeView model={result.model} vars={sentence.vars} />
+        )}
+      </div>
+    );
+  });
+
+  return (
+    <details open onToggle={(e) => setOpen(e.target.open)}>
+      <summary>Validez en clases de marcos</summary>
+      {results}
+      <p className="treeHint">
+        Que no haya contramodelos en marcos pequeños no prueba que la fórmula
+        sea válida.
+      </p>
+    </details>
+  );
+}
+
+/* Function: ModalWrapper
+ *
+ * Takes the place of the truth table for modal sentences: the title says at
+ * which worlds of the Kripke model the sentence is true, and opening it offers
+ * to check its validity over each class of frames.
+ */
+export function ModalWrapper({
+  sentence,
+  removeSentence,
+  toggleSentence,
+  index,
+  notation,
+  logic = classical,
+  kripke,
+  setKripke,
+}) {
+  let validity = <div />;
+  if (sentence.open) {
+    validity = (
+      <div className="derivations" onClick={(e) => e.stopPropagation()}>
+        {logic !== classical ? (
+          <p className="treeHint">
+            Las fórmulas modales se evalúan en la lógica clásica.
+          </p>
+        ) : (
+          <div />
+        )}
+        <ValidityCheck sentence={sentence} setKripke={setKripke} />
+      </div>
+    );
+  }
+
+  let values = valuesAt(sentence, kripke);
+  let worlds = values
+    .map((value, w) => (value ? worldName(w) : null))
+    .filter((w) => w !== null);
+  let summary = ['Verdadera en ' + worlds.join(', '), '#c2b41b'];
+  if (worlds.length === values.length) {
+    summary = ['Verdadera en todos los mundos', '#20615B'];
+  } else if (worlds.length === 0) {
+    summary = ['Falsa en todos los mundos', '#A21232'];
+  }
+
+  return (
+    <div>
+      <div className="tableWrapper" onClick={() => toggleSentence(index)}>
+        <div className="tableTitle">
+          <div className="sentTitle">
+            <div
+              style={{
+                fontWeight: 'bolder',
+                color: '#A21232',
+                float: 'left',
+                paddingLeft: '10px',
+              }}
+              onClick={(e) => {
+                e.stopPropagation();
+                removeSentence(index);
+              }}
+            >
+              X
+            </div>
+            <div>
+              <Formula
+                node={sentence.node}
+                vars={sentence.vars}
+                notation={notation}
+              />
+            </div>
+          </div>
+          <div className="logicType" />
+          <p className="logicType" style={{ color: summary[1] }}>
+            {summary[0]}
+          </p>
+        </div>
+        <div>{validity}</div>
+      </div>
+    </div>
+  );
+}
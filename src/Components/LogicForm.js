@@ -1,33 +1,68 @@
 import * as React from 'react';
+import { useState } from 'react';
 import { parse } from './parser';
+import { logicTypes } from './TruthTable';
+import { sentenceFromParse } from './sentences';
+import { typeJob } from './tableJobs';
+import { useTableJob } from './workerClient';
+import { JobProgress } from './JobProgress';
+
+function analyze(input) {
+  if (input.trim().length === 0) {
+    return null;
+  }
+  try {
+    return { output: parse(input) };
+  } catch (error) {
+    return { error: error };
+  }
+}
+
+export function LogicForm({ sentences, setsentences, input, setInput, logic }) {
+  const [submitted, setSubmitted] = useState(false);
+  let analysis = analyze(input);
 
-export function LogicForm({ sentences, setsentences, input, setInput }) {
   const handleSubmit = (event) => {
     event.preventDefault();
 
-    let output = { ast: null, variables: null };
-    try {
-      output = parse(input);
-    } catch (error) {
-      console.log(error);
-      setInput('Error en la proposición');
+    if (analysis == null || analysis.error) {
+      setSubmitted(true);
       return;
     }
 
-    let formatString = output.ast.toString(output.variables);
-    let newSentence = {
-      plain: input.plain,
-      format: formatString,
-      node: output.ast,
-      vars: output.variables,
-    };
-
-    let newsentences = sentences;
-    newsentences.push(newSentence);
-    setsentences(newsentences);
+    let newSentence = sentenceFromParse(input, analysis.output);
+
+    setsentences(sentences.concat([newSentence]));
+    setSubmitted(false);
     setInput('');
   };
 
+  let feedback = <div />;
+  if (analysis == null) {
+    if (submitted) {
+      feedback = (
+        <ParseError
+          input={input}
+          error={{
+            description: 'La proposición está vacía.',
+            start: 0,
+            end: 0,
+          }}
+        />
+      );
+    }
+  } else if (analysis.error) {
+    feedback = (
+      <ParseError
+        input={input}
+        error={analysis.error}
+        className={submitted ? 'parseError' : 'parseHint'}
+      />
+    );
+  } else {
+    feedback = <Preview input={input} output={analysis.output} logic={logic} />;
+  }
+
   return (
     <div className="formContainer">
       <form onSubmit={handleSubmit}>
@@ -37,12 +72,90 @@ export function LogicForm({ sentences, setsentences, input, setInput }) {
             className="textBox"
             type="text"
             value={input}
-            onChange={(e) => setInput(e.target.value)}
+            onChange={(e) => {
+              setInput(e.target.value);
+              setSubmitted(false);
+            }}
           />
         </label>
+        {feedback}
         <br />
         <input className="fancybutton" type="submit" value="Agregar" />
       </form>
     </div>
   );
 }
+
+/* First-order and modal sentences cannot be classified by their tables, so
+ * for them the preview says which logic they are in instead.
+ */
+function Preview({ input, output, logic }) {
+  let propositional = !output.firstOrder && !output.modal;
+  let typeTask = useTableJob(
+    propositional
+      ? typeJob({ plain: input, vars: output.variables }, logic)
+      : null
+  );
+  let vars =
+    output.variables.length > 0 ? output.variables.join(', ') : 'ninguna';
+
+  let kind;
+  if (output.firstOrder) {
+    let predicates = output.predicates.map((p) => p.name + '/' + p.arity);
+    kind = (
+      <div>
+        <div>
+          Predicados:{' '}
+          {predicates.length > 0 ? predicates.join(', ') : 'ninguno'}
+        </div>
+        <div>Primer orden</div>
+      </div>
+    );
+  } else if (output.modal) {
+    kind = <div>Lógica modal</div>;
+  } else if (typeTask.result === null) {
+    kind = <JobProgress task={typeTask} label="Clasificando" />;
+  } else {
+    let type = typeTask.result;
+    kind = (
+      <div style={{ color: logicTypes[type][1] }}>{logicTypes[type][0]}</div>
+    );
+  }
+
+  return (
+    <div className="preview">
+      <div
+        dangerouslySetInnerHTML={{
+          __html: `${output.ast.toString(output.variables)}`,
+        }}
+      />
+      <div>Variables: {vars}</div>
+      {kind}
+    </div>
+  );
+}
+
+export function ParseError({ input, error, className = 'parseError' }) {
+  if (error == null) {
+    return <div />;
+  }
+
+  // the parser reports the EOF marker as one past the end of the input
+  let start = Math.min(error.start, input.length);
+  let end = Math.max(start, Math.min(error.end, input.length));
+  let marked = input.substring(start, end);
+  if (marked.length === 0) {
+    marked = ' ';
+  }
+
+  return (
+    <div className={className}>
+      <div className="errorSource">
+        {input.substring(0, start)}
+        <span className="errorRange">{marked}</span>
+        {input.substring(end)}
+      </div>
+      <div>{error.description}</div>
+    </div>
+  );
+}
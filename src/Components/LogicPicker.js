@@ -0,0 +1,31 @@
+import * as React from 'react';
+import { classical, logics, valueLabel } from './logics';
+
+export function LogicPicker({ logic, setLogic }) {
+  return (
+    <div className="picker">
+      <span>Lógica: </span>
+      <select
+        value={logic.name}
+        onChange={(e) =>
+          setLogic(logics.find((l) => l.name === e.target.value))
+        }
+      >
+        {logics.map((l) => (
+          <option key={l.name} value={l.name}>
+            {l.label}
+          </option>
+        ))}
+      </select>
+      {logic === classical ? (
+        <span />
+      ) : (
+        <span className="treeHint">
+          {' '}
+          Valores designados:{' '}
+          {logic.designated.map((v) => valueLabel(logic, v)).join(', ')}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import * as React from 'react';
+import { useMemo, useState } from 'react';
+import {
+  covers,
+  kMaxMinimizeVars,
+  mintermsOf,
+  minimizePOS,
+  minimizeSOP,
+  posToText,
+  sopToText,
+} from './minimize';
+import { makeSentence } from './sentences';
+
+const groupColors = ['#4fa3d1', '#e0a33a', '#b46ad1', '#5cc48a', '#e05470'];
+
+export function Minimization({ sentence, addSentence }) {
+  const [drawn, setDrawn] = useState('sop');
+  const [open, setOpen] = useState(false);
+  let n = sentence.vars.length;
+
+  // QMC only runs once the section is opened, and again only when the
+  // formula changes
+  let result = useMemo(() => {
+    if (!open || sentence.vars.length > kMaxMinimizeVars) {
+      return null;
+    }
+    let minterms = mintermsOf(sentence.node, sentence.vars.length);
+    let sop = minimizeSOP(sentence.vars.length, minterms);
+    let pos = minimizePOS(sentence.vars.length, minterms);
+    return {
+      minterms: minterms,
+      sop: sop,
+      pos: pos,
+      forms: [
+        [
+          'Suma de productos mínima',
+          makeSentence(sopToText(sop, sentence.vars)),
+        ],
+        [
+          'Producto de sumas mínimo',
+          makeSentence(posToText(pos, sentence.vars)),
+        ],
+      ],
+    };
+  }, [open, sentence.node, sentence.vars]);
+
+  if (n > kMaxMinimizeVars) {
+    return (
+      <details>
+        <summary>Minimización</summary>
+        <p>Demasiadas variables para minimizar (máximo {kMaxMinimizeVars}).</p>
+      </details>
+    );
+  }
+
+  if (result === null) {
+    return (
+      <details onToggle={(e) => setOpen(e.target.open)}>
+        <summary>Minimización</summary>
+      </details>
+    );
+  }
+  let { minterms, sop, pos, forms } = result;
+
+  let rows = [];
+  for (let [title, minimized] of forms) {
+    rows.push(
+      <tr key={title}>
+        <td>{title}</td>
+        <td dangerouslySetInnerHTML={{ __html: `${minimized.format}` }} />
+        <td>
+          <button
+            className="smallbutton"
+            onClick={() => addSentence(minimized)}
+          >
+            Agregar
+          </button>
+        </td>
+      </tr>
+    );
+  }
+
+  let map = <div />;
+  if (n >= 2 && n <= 4) {
+    map = (
+      <div>
+        <select value={drawn} onChange={(e) => setDrawn(e.target.value)}>
+          <option value="sop">Agrupar unos (SOP)</option>
+          <option value="pos">Agrupar ceros (POS)</option>
+        </select>
+        <KarnaughMap
+          vars={sentence.vars}
+          minterms={minterms}
+          groups={drawn === 'sop' ? sop : pos}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <details open onToggle={(e) => setOpen(e.target.open)}>
+      <summary>Minimización</summary>
+      <table className="stepTable">
+        <tbody>{rows}</tbody>
+      </table>
+      {map}
+    </details>
+  );
+}
+
+/* Gray code sequences for one and two bits. */
+function grayCode(bits) {
+  return bits === 1 ? [0, 1] : [0, 1, 3, 2];
+}
+
+/* Splits the sorted positions into runs of consecutive positions. */
+function runsOf(positions) {
+  let runs = [];
+  for (let p of positions) {
+    let last = runs[runs.length - 1];
+    if (last && last[1] === p - 1) {
+      last[1] = p;
+    } else {
+      runs.push([p, p]);
+    }
+  }
+  return runs;
+}
+
+function KarnaughMap({ vars, minterms, groups }) {
+  const size = 40;
+  let n = vars.length;
+  let rowBits = Math.floor(n / 2);
+  let colBits = n - rowBits;
+  let rowCodes = grayCode(rowBits);
+  let colCodes = grayCode(colBits);
+  let rowVars = vars.slice(0, rowBits).join('');
+  let colVars = vars.slice(rowBits).join('');
+
+  let mintermAt = (r, c) => (rowCodes[r] << colBits) | colCodes[c];
+  let label = (code, bits) =>
+    code.toString(2).padStart(bits, '0').replace(/0/g, 'F').replace(/1/g, 'T');
+
+  let cells = [];
+  for (let r = 0; r < rowCodes.length; r++) {
+    for (let c = 0; c < colCodes.length; c++) {
+      let one = minterms.includes(mintermAt(r, c));
+      cells.push(
+        <text
+          key={r + ',' + c}
+          x={size * (c + 1) + size / 2}
+          y={size * (r + 1) + size / 2 + 5}
+          textAnchor="middle"
+          fill="currentColor"
+        >
+          {one ? 1 : 0}
+        </text>
+      );
+    }
+  }
+
+  let headers = [];
+  for (let c = 0; c < colCodes.length; c++) {
+    headers.push(
+      <text
+        key={'c' + c}
+        x={size * (c + 1) + size / 2}
+        y={size - 8}
+        textAnchor="middle"
+        fill="currentColor"
+      >
+        {label(colCodes[c], colBits)}
+      </text>
+    );
+  }
+  for (let r = 0; r < rowCodes.length; r++) {
+    headers.push(
+      <text
+        key={'r' + r}
+        x={size - 8}
+        y={size * (r + 1) + size / 2 + 5}
+        textAnchor="end"
+        fill="currentColor"
+      >
+        {label(rowCodes[r], rowBits)}
+      </text>
+    );
+  }
+
+  /* An implicant covers a product of a set of rows and a set of columns; each
+   * of those may wrap around the edge of the map, in which case it is drawn
+   * as several rectangles.
+   */
+  let rects = [];
+  for (let g = 0; g < groups.length; g++) {
+    let group = groups[g];
+    let rows = rowCodes
+      .map((code, r) => r)
+      .filter((r) =>
+        colCodes.some((code, c) => covers(group, mintermAt(r, c)))
+      );
+    let cols = colCodes
+      .map((code, c) => c)
+      .filter((c) =>
+        rowCodes.some((code, r) => covers(group, mintermAt(r, c)))
+      );
+
+    let inset = 3 + 3 * (g % 4);
+    for (let [r0, r1] of runsOf(rows)) {
+      for (let [c0, c1] of runsOf(cols)) {
+        rects.push(
+          <rect
+            key={g + ':' + r0 + ':' + c0}
+            x={size * (c0 + 1) + inset}
+            y={size * (r0 + 1) + inset}
+            width={size * (c1 - c0 + 1) - 2 * inset}
+            height={size * (r1 - r0 + 1) - 2 * inset}
+            rx={8}
+            fill="none"
+            stroke={groupColors[g % groupColors.length]}
+            strokeWidth={2}
+          />
+        );
+      }
+    }
+  }
+
+  let width = size * (colCodes.length + 1);
+  let height = size * (rowCodes.length + 1);
+  return (
+    <svg
+      className="karnaugh"
+      width={width + 10}
+      height={height + 10}
+      viewBox={`0 0 ${width + 10} ${height + 10}`}
+    >
+      <text x={4} y={14} fill="currentColor" fontSize="11">
+        {rowVars + '\\' + colVars}
+      </text>
+      {headers}
+      {cells}
+      {rowCodes.map((code, r) =>
+        colCodes.map((code2, c) => (
+          <rect
+            key={'cell' + r + ',' + c}
+            x={size * (c + 1)}
+            y={size * (r + 1)}
+            width={size}
+            height={size}
+            fill="none"
+            stroke="currentColor"
+            strokeOpacity={0.4}
+          />
+        ))
+      )}
+      {rects}
+    </svg>
+  );
+}
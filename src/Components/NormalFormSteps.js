@@ -0,0 +1,54 @@
+import * as React from 'react';
+import { toCNF, toDNF, kMaxSteps } from './normalize';
+
+export function NormalFormSteps({ sentence }) {
+  return (
+    <div className="derivations" onClick={(e) => e.stopPropagation()}>
+      <Derivation
+        title="Forma normal conjuntiva (FNC)"
+        derivation={toCNF(sentence.node)}
+        vars={sentence.vars}
+      />
+      <Derivation
+        title="Forma normal disyuntiva (FND)"
+        derivation={toDNF(sentence.node)}
+        vars={sentence.vars}
+      />
+    </div>
+  );
+}
+
+function Derivation({ title, derivation, vars }) {
+  let steps = [];
+  for (let i = 0; i < derivation.steps.length; i++) {
+    let step = derivation.steps[i];
+    steps.push(
+      <tr key={i}>
+        <td>{i + 1}.</td>
+        <td
+          className="stepFormula"
+          dangerouslySetInnerHTML={{ __html: `${step.node.toString(vars)}` }}
+        />
+        <td className="stepRule">{step.rule}</td>
+      </tr>
+    );
+  }
+
+  return (
+    <details>
+      <summary>{title}</summary>
+      <table className="stepTable">
+        <tbody>{steps}</tbody>
+      </table>
+      {derivation.truncated ? (
+        <p>La derivación se cortó tras {kMaxSteps} pasos.</p>
+      ) : (
+        <div
+          dangerouslySetInnerHTML={{
+            __html: `Resultado: ${derivation.result.toString(vars)}`,
+          }}
+        />
+      )}
+    </details>
+  );
+}
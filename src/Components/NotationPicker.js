@@ -0,0 +1,44 @@
+import * as React from 'react';
+import { defaultNotation, formatNode, notationNames } from './formatters';
+
+export function NotationPicker({ notation, setNotation }) {
+  let options = notationNames.map(([name, label]) => (
+    <option key={name} value={name}>
+      {label}
+    </option>
+  ));
+
+  return (
+    <div className="picker">
+      <span>Notación: </span>
+      <select
+        value={notation.name}
+        onChange={(e) => setNotation({ ...notation, name: e.target.value })}
+      >
+        {options}
+      </select>
+      <label>
+        <input
+          type="checkbox"
+          checked={notation.minimal}
+          disabled={notation.name === 'polish'}
+          onChange={(e) =>
+            setNotation({ ...notation, minimal: e.target.checked })
+          }
+        />
+        Paréntesis mínimos
+      </label>
+    </div>
+  );
+}
+
+/* Shows a formula in the chosen notation. Only the HTML notation is markup;
+ * the rest are plain text.
+ */
+export function Formula({ node, vars, notation = defaultNotation }) {
+  let text = formatNode(node, vars, notation.name, notation.minimal);
+  if (notation.name === 'html') {
+    return <span dangerouslySetInnerHTML={{ __html: `${text}` }} />;
+  }
+  return <span>{text}</span>;
+}
@@ -0,0 +1,151 @@
+import * as React from 'react';
+import { useState } from 'react';
+import { checkProof, proofRules, usage } from './proof';
+import { Formula } from './NotationPicker';
+
+const emptyLine = { depth: 0, text: '', rule: 'Premisa', cites: '' };
+
+export function ProofChecker({ notation }) {
+  const [show, setShow] = useState(false);
+  const [lines, setLines] = useState([emptyLine]);
+
+  let check = checkProof(lines);
+
+  function setLine(k, changes) {
+    setLines(
+      lines.map((line, i) => (i === k ? { ...line, ...changes } : line))
+    );
+  }
+
+  function addLine() {
+    let last = lines[lines.length - 1];
+    setLines(
+      lines.concat([{ ...emptyLine, depth: last ? last.depth : 0, rule: '' }])
+    );
+  }
+
+  function removeLine(k) {
+    setLines(lines.filter((line, i) => i !== k));
+  }
+
+  let rules = [
+    <option key="" value="">
+      —
+    </option>,
+  ].concat(
+    proofRules.map((rule) => (
+      <option key={rule.name} value={rule.name}>
+        {rule.name}
+      </option>
+    ))
+  );
+
+  let rows = lines.map((line, k) => {
+    let result = check.results[k];
+    let rule = proofRules.find((r) => r.name === line.rule);
+    return (
+      <tr key={k}>
+        <td>{k + 1}.</td>
+        <td>
+          <button
+            className="smallbutton"
+            disabled={line.depth === 0}
+            onClick={() => setLine(k, { depth: line.depth - 1 })}
+          >
+            ⇤
+          </button>
+          <button
+            className="smallbutton"
+            onClick={() => setLine(k, { depth: line.depth + 1 })}
+          >
+            ⇥
+          </button>
+        </td>
+        <td
+          className={
+            'fitchLine' + (line.rule === 'Supuesto' ? ' fitchAssumption' : '')
+          }
+        >
+          {[...Array(line.depth)].map((_, d) => (
+            <span key={d} className="fitchBar" />
+          ))}
+          <input
+            className="textBox"
+            type="text"
+            value={line.text}
+            onChange={(e) => setLine(k, { text: e.target.value })}
+          />
+        </td>
+        <td>
+          <select
+            value={line.rule}
+            onChange={(e) => setLine(k, { rule: e.target.value })}
+          >
+            {rules}
+          </select>
+        </td>
+        <td>
+          <input
+            className="citeBox"
+            type="text"
+            placeholder={rule ? usage(rule) : ''}
+            value={line.cites}
+            onChange={(e) => setLine(k, { cites: e.target.value })}
+          />
+        </td>
+        <td>
+          <button className="smallbutton" onClick={() => removeLine(k)}>
+            X
+          </button>
+        </td>
+        <td className={result.ok ? 'stepOk' : 'stepError'}>
+          {result.ok ? '✓' : result.message}
+        </td>
+      </tr>
+    );
+  });
+
+  let verdict = <div />;
+  if (check.valid) {
+    verdict = (
+      <p style={{ color: '#20615B' }}>
+        Prueba correcta:{' '}
+        {check.premises.map((n, i) => (
+          <span key={i}>
+            {i > 0 ? ', ' : ''}
+            <Formula node={n} vars={check.vars} notation={notation} />
+          </span>
+        ))}{' '}
+        ⊢{' '}
+        <Formula
+          node={check.conclusion}
+          vars={check.vars}
+          notation={notation}
+        />
+      </p>
+    );
+  } else if (lines.length > 0 && lines[lines.length - 1].depth > 0) {
+    verdict = <p>La prueba tiene que terminar fuera de toda subprueba.</p>;
+  }
+
+  return (
+    <div className="tableWrapper" onClick={() => setShow(!show)}>
+      <div className="tableTitle">
+        <p>Deducción natural</p>
+      </div>
+      {show ? (
+        <div className="derivations" onClick={(e) => e.stopPropagation()}>
+          <table className="stepTable proofTable">
+            <tbody>{rows}</tbody>
+          </table>
+          <button className="smallbutton" onClick={addLine}>
+            Agregar línea
+          </button>
+          {verdict}
+        </div>
+      ) : (
+        <div />
+      )}
+    </div>
+  );
+}
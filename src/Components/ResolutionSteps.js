@@ -0,0 +1,104 @@
+import * as React from 'react';
+import { useMemo, useState } from 'react';
+import {
+  clauseForm,
+  clauseToText,
+  kMaxClauses,
+  refutationOf,
+  refute,
+} from './resolution';
+
+/* Resolution on the clause form of the joint set. When the empty clause is
+ * derived only the clauses it depends on are listed; otherwise every clause
+ * of the saturated set is.
+ */
+export function ResolutionSteps({ sentences }) {
+  const [open, setOpen] = useState(false);
+
+  // resolution can take long, so it waits until the section is opened
+  let work = useMemo(() => {
+    if (!open) {
+      return null;
+    }
+    let form = clauseForm(sentences);
+    if (form === null) {
+      return { form: null, result: null };
+    }
+    return { form: form, result: refute(form.clauses.map((c) => c.clause)) };
+  }, [open, sentences]);
+
+  if (!open) {
+    return (
+      <details onToggle={(e) => setOpen(e.target.open)}>
+        <summary>Resolución</summary>
+      </details>
+    );
+  }
+
+  let { form, result } = work;
+  if (form === null) {
+    return (
+      <details open onToggle={(e) => setOpen(e.target.open)}>
+        <summary>Resolución</summary>
+        <p>
+          La forma clausal tiene demasiadas cláusulas (más de {kMaxClauses}).
+        </p>
+      </details>
+    );
+  }
+
+  let verdict;
+  let shown;
+  if (result.empty !== null) {
+    verdict = (
+      <p style={{ color: '#A21232' }}>
+        Se deriva la cláusula vacía: el conjunto es insatisfacible.
+      </p>
+    );
+    shown = refutationOf(result);
+  } else {
+    verdict = result.truncated ? (
+      <p>La resolución se cortó tras {kMaxClauses} cláusulas.</p>
+    ) : (
+      <p style={{ color: '#20615B' }}>
+        La resolución se satura sin derivar la cláusula vacía: el conjunto es
+        satisfacible.
+      </p>
+    );
+    shown = result.clauses.map((c, i) => ({ ...c, index: i }));
+  }
+
+  let rows = shown.map((c, i) => {
+    let why;
+    if (c.parents === null) {
+      let source = form.clauses[c.index].source;
+      why = 'De la proposición ' + (source + 1);
+    } else {
+      let literal = form.vars[Math.abs(c.literal) - 1];
+      why =
+        'Resolvente de ' +
+        (c.parents[0] + 1) +
+        ' y ' +
+        (c.parents[1] + 1) +
+        ' sobre ' +
+        literal;
+    }
+    return (
+      <tr key={i}>
+        <td>{i + 1}.</td>
+        <td className="stepFormula">{clauseToText(c.clause, form.vars)}</td>
+        <td className="stepRule">{why}</td>
+      </tr>
+    );
+  });
+
+  return (
+    <details open onToggle={(e) => setOpen(e.target.open)}>
+      <summary>Resolución</summary>
+      {verdict}
+      <table className="stepTable">
+        <tbody>{rows}</tbody>
+      </table>
+    </details>
+  );
+}
@@ -0,0 +1,169 @@
+import * as React from 'react';
+import { useState } from 'react';
+import {
+  canonicalCNF,
+  canonicalDNF,
+  minimizePOS,
+  minimizeSOP,
+  posToText,
+  sopToText,
+} from './minimize';
+import { parse } from './parser';
+import { makeSentence } from './sentences';
+import { TableCell } from './TruthTable';
+import {
+  defaultTableSettings,
+  orderedValuations,
+  rowNumber,
+} from './tableData';
+import { classical, relabel } from './logics';
+
+/* Clicking through more rows than this is no exercise anyone wants. */
+export const kMaxReverseVars = 6;
+
+/* Reads the variable names typed by the user, separated by commas or spaces.
+ * Returns the names, or an error message if one of them is not a variable the
+ * parser would accept or a name is repeated.
+ */
+function readVariables(text) {
+  let names = text.split(/[\s,]+/).filter((v) => v.length > 0);
+  for (let name of names) {
+    let ok = false;
+    try {
+      let output = parse(name);
+      ok = output.ast.hasOwnProperty('index') && output.variables[0] === name;
+    } catch (e) {}
+    if (!ok) return { error: '"' + name + '" no es un nombre de variable.' };
+  }
+  if (new Set(names).size !== names.length) {
+    return { error: 'Hay variables repetidas.' };
+  }
+  if (names.length > kMaxReverseVars) {
+    return { error: 'Como mucho ' + kMaxReverseVars + ' variables.' };
+  }
+  return { vars: names };
+}
+
+/* Builds a formula from a truth table the user fills in. The rows are listed
+ * in the order of the table settings, but the result column is kept by row
+ * number, and row i in the standard order, starting with all true, is
+ * minterm 2^n - 1 - i in minimize.js's numbering. The variables stay in the
+ * order they were typed.
+ */
+export function ReverseTable({
+  sentences,
+  setSentences,
+  settings = defaultTableSettings,
+}) {
+  const [show, setShow] = useState(false);
+  const [text, setText] = useState('p, q');
+  const [values, setValues] = useState({});
+
+  let read = readVariables(text);
+  let vars = read.vars || [];
+  let n = vars.length;
+  let count = Math.pow(2, n);
+  let rows = orderedValuations(n, classical.values, settings.rowOrder);
+  let logic = relabel(classical, settings.display);
+  let valueOf = (i) => values[n + ':' + i] === true;
+
+  function toggle(i) {
+    setValues({ ...values, [n + ':' + i]: !valueOf(i) });
+  }
+
+  let minterms = [];
+  for (let i = count - 1; i >= 0; i--) {
+    if (valueOf(i)) minterms.push(count - 1 - i);
+  }
+
+  let forms = [];
+  if (read.vars && n > 0) {
+    forms = [
+      ['FND canónica', canonicalDNF(minterms, vars)],
+      ['FNC canónica', canonicalCNF(minterms, vars)],
+      ['Suma de productos mínima', sopToText(minimizeSOP(n, minterms), vars)],
+      ['Producto de sumas mínimo', posToText(minimizePOS(n, minterms), vars)],
+    ].map(([title, formula]) => [title, makeSentence(formula)]);
+  }
+
+  let table = <div />;
+  if (read.vars && n > 0) {
+    table = (
+      <table className="truthTable">
+        <tbody>
+          <tr>
+            {vars.map((v) => (
+              <td key={v}>{v}</td>
+            ))}
+            <td>Resultado</td>
+          </tr>
+          {rows.map((row) => {
+            let i = rowNumber(row, classical.values);
+            return (
+              <tr key={i}>
+                {row.map((v, j) => (
+                  <TableCell key={j} val={v} logic={logic} />
+                ))}
+                <TableCell
+                  val={valueOf(i)}
+                  onClick={() => toggle(i)}
+                  logic={logic}
+                />
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    );
+  }
+
+  return (
+    <div className="tableWrapper" onClick={() => setShow(!show)}>
+      <div className="tableTitle">
+        <p>De tabla a fórmula</p>
+      </div>
+      {show ? (
+        <div className="derivations" onClick={(e) => e.stopPropagation()}>
+          <div className="picker">
+            <span>Variables: </span>
+            <input
+              className="textBox"
+              type="text"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+            />
+            {read.error ? (
+              <div className="parseHint">{read.error}</div>
+            ) : (
+              <div />
+            )}
+          </div>
+          <p>Haz clic en la columna de resultado para cambiar cada fila.</p>
+          <div className="reverseTable">{table}</div>
+          <table className="stepTable">
+            <tbody>
+              {forms.map(([title, sentence]) => (
+                <tr key={title}>
+                  <td>{title}</td>
+                  <td
+                    dangerouslySetInnerHTML={{ __html: `${sentence.format}` }}
+                  />
+                  <td>
+                    <button
+                      className="smallbutton"
+                      onClick={() => setSentences(sentences.concat([sentence]))}
+                    >
+                      Agregar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div />
+      )}
+    </div>
+  );
+}
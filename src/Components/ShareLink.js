@@ -0,0 +1,34 @@
+import * as React from 'react';
+import { useState } from 'react';
+import { permalinkURL } from './permalink';
+
+export function ShareLink({ sentences }) {
+  const [link, setLink] = useState(null);
+
+  function share() {
+    let url = permalinkURL(sentences);
+    setLink(url);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).catch(() => {});
+    }
+  }
+
+  return (
+    <div className="workspaces">
+      <button className="smallbutton" onClick={share}>
+        Copiar enlace
+      </button>
+      {link !== null ? (
+        <input
+          className="textBox"
+          type="text"
+          readOnly
+          value={link}
+          onFocus={(e) => e.target.select()}
+        />
+      ) : (
+        <span />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import * as React from 'react';
+import { connectiveOf, notations } from './formatters';
+import { classical, evaluateNode, valueColor, valueLabel } from './logics';
+import { valuationAt } from './sentences';
+
+const kSpacing = 44;
+const kLevel = 54;
+const kRadius = 15;
+
+/* Shows the AST of the sentence as a tree. When a row of the truth table is
+ * selected, every node is marked with its value on that row, so the value of
+ * the main connective can be followed up from the variables.
+ */
+export function SyntaxTree({ sentence, row = null, logic = classical }) {
+  let { nodes, edges, width, depth } = layoutTree(sentence.node);
+  let assignment =
+    row === null ? null : valuationAt(row, sentence.vars.length, logic.values);
+
+  let lines = edges.map(([from, to]) => (
+    <line
+      key={from.id + '-' + to.id}
+      x1={xOf(from)}
+      y1={yOf(from)}
+      x2={xOf(to)}
+      y2={yOf(to)}
+      stroke="currentColor"
+      strokeOpacity={0.6}
+    />
+  ));
+
+  let circles = nodes.map((item) => {
+    let value =
+      assignment === null ? null : evaluateNode(item.node, assignment, logic);
+    let fill = value === null ? 'var(--darkgray)' : valueColor(logic, value);
+    return (
+      <g key={item.id}>
+        <circle
+          cx={xOf(item)}
+          cy={yOf(item)}
+          r={kRadius}
+          fill={fill}
+          stroke="currentColor"
+          strokeWidth={item.depth === 0 ? 3 : 1}
+        />
+        <text
+          x={xOf(item)}
+          y={yOf(item) + 5}
+          textAnchor="middle"
+          fill="currentColor"
+        >
+          {labelOf(item.node, sentence.vars)}
+        </text>
+        {value === null ? (
+          <g />
+        ) : (
+          <text
+            x={xOf(item) + kRadius + 3}
+            y={yOf(item) - kRadius + 4}
+            fill="currentColor"
+            fontSize="11"
+            fontWeight="bolder"
+          >
+            {valueLabel(logic, value)}
+          </text>
+        )}
+      </g>
+    );
+  });
+
+  let svgWidth = width * kSpacing + 20;
+  let svgHeight = (depth + 1) * kLevel;
+  return (
+    <details>
+      <summary>Árbol sintáctico</summary>
+      <p className="treeHint">
+        {row === null
+          ? 'Haz clic en una fila de la tabla para ver el valor de cada nodo.'
+          : 'Valores de la fila seleccionada.'}
+      </p>
+      <svg
+        className="syntaxTree"
+        width={svgWidth}
+        height={svgHeight}
+        viewBox={`0 0 ${svgWidth} ${svgHeight}`}
+      >
+        {lines}
+        {circles}
+      </svg>
+    </details>
+  );
+}
+
+function xOf(item) {
+  return item.x * kSpacing + kSpacing / 2 + 10;
+}
+
+function yOf(item) {
+  return item.depth * kLevel + kLevel / 2;
+}
+
+function labelOf(node, vars) {
+  let connective = connectiveOf(node);
+  if (connective === null) return vars[node.index];
+  return notations.unicode[connective].trim();
+}
+
+/* Function: layoutTree
+ *
+ * Places the leaves of the AST left to right in order, one slot apart, and
+ * every other node centered over its children. Returns the placed nodes, the
+ * edges between them, and the number of slots and levels used.
+ */
+function layoutTree(root) {
+  let nodes = [];
+  let edges = [];
+  let leaves = 0;
+  let depth = 0;
+
+  function place(node, level) {
+    let children = [];
+    if (node.hasOwnProperty('lhs')) children = [node.lhs, node.rhs];
+    if (node.hasOwnProperty('underlying')) children = [node.underlying];
+
+    let placed = children.map((child) => place(child, level + 1));
+    let x =
+      placed.length === 0
+        ? leaves++
+        : placed.reduce((sum, p) => sum + p.x, 0) / placed.length;
+    let item = { id: nodes.length, node: node, x: x, depth: level };
+    nodes.push(item);
+    for (let p of placed) {
+      edges.push([item, p]);
+    }
+    depth = Math.max(depth, level);
+    return item;
+  }
+
+  place(root, 0);
+  return { nodes: nodes, edges: edges, width: leaves, depth: depth };
+}
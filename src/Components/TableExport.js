@@ -0,0 +1,73 @@
+import * as React from 'react';
+import { useState } from 'react';
+import { exporters } from './exporters';
+
+/* Tables with more rows than this are not previewed, and only written out
+ * when copied or downloaded.
+ */
+const kMaxPreviewRows = 1 << 12;
+
+export function TableExport({ table, name = 'tabla' }) {
+  const [chosen, setChosen] = useState(null);
+
+  let exporter = exporters.find((e) => e.name === chosen);
+  let preview = table.rows.length <= kMaxPreviewRows;
+  let output = exporter && preview ? exporter.write(table) : '';
+  let write = () => (preview ? output : exporter.write(table));
+
+  function download() {
+    let blob = new Blob([write()], { type: exporter.type });
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name + '.' + exporter.extension;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  let buttons = exporters.map((e) => (
+    <button
+      key={e.name}
+      className={'smallbutton' + (e.name === chosen ? ' selected' : '')}
+      onClick={() => setChosen(e.name === chosen ? null : e.name)}
+    >
+      {e.name}
+    </button>
+  ));
+
+  return (
+    <div className="tableExport" onClick={(e) => e.stopPropagation()}>
+      <span>Exportar: </span>
+      {buttons}
+      {exporter ? (
+        <div>
+          {preview ? (
+            <textarea
+              className="exportText"
+              readOnly
+              value={output}
+              onFocus={(e) => e.target.select()}
+            />
+          ) : (
+            <p className="treeHint">
+              La tabla tiene {table.rows.length} filas; se escribe al copiarla o
+              descargarla.
+            </p>
+          )}
+          <div>
+            <button
+              className="smallbutton"
+              onClick={() => navigator.clipboard.writeText(write())}
+            >
+              Copiar
+            </button>
+            <button className="smallbutton" onClick={download}>
+              Descargar
+            </button>
+          </div>
+        </div>
+      ) : (
+        <span />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,120 @@
+import * as React from 'react';
+import { Formula } from './NotationPicker';
+import { sameNode } from './sentences';
+import { isHidden, sentenceColumns } from './tableData';
+import { valueLabel } from './logics';
+
+const columnOrders = [
+  ['levels', 'Por niveles'],
+  ['evaluation', 'De abajo arriba (orden de evaluación)'],
+];
+
+const rowFilters = [
+  ['all', 'Todas'],
+  ['true', 'Solo verdaderas'],
+  ['false', 'Solo falsas'],
+  ['pinned', 'Con valores fijados'],
+];
+
+/* The options of the table of a single sentence (see defaultTableView in
+ * tableData.js): which subformula columns to show and in what order, and
+ * which rows. The table is the one built with them, for its variables and
+ * value labels.
+ */
+export function TableOptions({ sentence, view, setView, table, notation }) {
+  let update = (changes) => setView({ ...view, ...changes });
+
+  function toggleColumn(node) {
+    update({
+      hidden: isHidden(view, node)
+        ? view.hidden.filter((n) => !sameNode(n, node))
+        : view.hidden.concat([node]),
+    });
+  }
+
+  function pin(name, index) {
+    let pinned = { ...view.pinned };
+    if (index === '') {
+      delete pinned[name];
+    } else {
+      pinned[name] = Number(index);
+    }
+    update({ pinned: pinned });
+  }
+
+  let columns = sentenceColumns(sentence, view).map((node, i) => (
+    <label key={i}>
+      <input
+        type="checkbox"
+        checked={!isHidden(view, node)}
+        onChange={() => toggleColumn(node)}
+      />
+      <Formula node={node} vars={sentence.vars} notation={notation} />
+    </label>
+  ));
+
+  let pins = <span />;
+  if (view.rowFilter === 'pinned') {
+    pins = (
+      <div>
+        {table.variables.map((v) => (
+          <span key={v}>
+            {v} ={' '}
+            <select
+              value={view.pinned.hasOwnProperty(v) ? view.pinned[v] : ''}
+              onChange={(e) => pin(v, e.target.value)}
+            >
+              <option value="">—</option>
+              {table.logic.values.map((value, i) => (
+                <option key={i} value={i}>
+                  {valueLabel(table.logic, value)}
+                </option>
+              ))}
+            </select>{' '}
+          </span>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="tableOptions" onClick={(e) => e.stopPropagation()}>
+      <div>
+        Columnas:{' '}
+        <select
+          value={view.columnOrder}
+          onChange={(e) => update({ columnOrder: e.target.value })}
+        >
+          {columnOrders.map(([name, label]) => (
+            <option key={name} value={name}>
+              {label}
+            </option>
+          ))}
+        </select>{' '}
+        <label>
+          <input
+            type="checkbox"
+            checked={view.dedupe}
+            onChange={(e) => update({ dedupe: e.target.checked })}
+          />
+          Sin repetir subfórmulas
+        </label>
+      </div>
+      <div className="columnToggles">{columns}</div>
+      <div>
+        Filas:{' '}
+        <select
+          value={view.rowFilter}
+          onChange={(e) => update({ rowFilter: e.target.value })}
+        >
+          {rowFilters.map(([name, label]) => (
+            <option key={name} value={name}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {pins}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import * as React from 'react';
+import { useState } from 'react';
+import { valueDisplays } from './logics';
+import { jointVariables } from './sentences';
+import { orderVariables } from './tableData';
+
+const variableOrders = [
+  ['alphabetical', 'Alfabético'],
+  ['appearance', 'Orden de aparición'],
+  ['custom', 'Personalizado'],
+];
+
+const rowOrders = [
+  ['trueFirst', 'Verdaderos primero (TTT…)'],
+  ['falseFirst', 'Falsos primero (FFF…)'],
+  ['gray', 'Código Gray'],
+];
+
+/* The settings every table and export is laid out with (see tableData.js).
+ * With the custom variable order, the variables of the sentences can be
+ * dragged into place.
+ */
+export function TableSettings({ settings, setSettings, sentences }) {
+  const [dragged, setDragged] = useState(null);
+
+  let select = (field, options) => (
+    <select
+      value={settings[field]}
+      onChange={(e) => setSettings({ ...settings, [field]: e.target.value })}
+    >
+      {options.map(([name, label]) => (
+        <option key={name} value={name}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+
+  let order = orderVariables(jointVariables(sentences), sentences, settings);
+
+  function drop(target) {
+    if (dragged === null || dragged === target) return;
+    let rest = order.filter((v) => v !== dragged);
+    rest.splice(rest.indexOf(target), 0, dragged);
+    setSettings({ ...settings, customOrder: rest });
+    setDragged(null);
+  }
+
+  let list = <span />;
+  if (settings.variableOrder === 'custom' && order.length > 0) {
+    list = (
+      <div>
+        <ol className="dragList">
+          {order.map((v) => (
+            <li
+              key={v}
+              draggable
+              className={v === dragged ? 'dragging' : ''}
+              onDragStart={() => setDragged(v)}
+              onDragEnd={() => setDragged(null)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => {
+                e.preventDefault();
+                drop(v);
+              }}
+            >
+              {v}
+            </li>
+          ))}
+        </ol>
+        <span className="treeHint">
+          Arrastra las variables para ordenarlas.
+        </span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="picker">
+      <span>Variables: </span>
+      {select('variableOrder', variableOrders)}
+      <span> Filas: </span>
+      {select('rowOrder', rowOrders)}
+      <span> Valores: </span>
+      {select('display', valueDisplays)}
+      {list}
+    </div>
+  );
+}
@@ -1,76 +1,172 @@
+/* global BigInt */
 import * as React from 'react';
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { NormalFormSteps } from './NormalFormSteps';
+import { Minimization } from './Minimization';
+import { jointVariables } from './sentences';
+import {
+  defaultTableSettings,
+  defaultTableView,
+  jointTableData,
+  kMaxTableRows,
+  truthTableData,
+} from './tableData';
+import {
+  jointDetailsJob,
+  jointRowsJob,
+  jointTypeJob,
+  rowsJob,
+  typeJob,
+} from './tableJobs';
+import { useTableJob } from './workerClient';
+import { JobProgress } from './JobProgress';
+import { TableExport } from './TableExport';
+import { TableOptions } from './TableOptions';
+import { Formula } from './NotationPicker';
+import { SyntaxTree } from './SyntaxTree';
+import { TruthTree } from './TruthTree';
+import { ResolutionSteps } from './ResolutionSteps';
+import { Completeness } from './Completeness';
+import { FirstOrderWrapper } from './FirstOrder';
+import { ModalWrapper } from './KripkeModel';
+import { classical, valueColor, valueLabel } from './logics';
 
-export function Tables({ sentences, setSentences }) {
+export function Tables({
+  sentences,
+  setSentences,
+  notation,
+  logic = classical,
+  model,
+  setModel,
+  kripke,
+  setKripke,
+  settings = defaultTableSettings,
+}) {
   function removeSentence(index) {
-    let clone = sentences;
-    clone.splice(index, 1);
-    console.log(clone);
-    setSentences(clone);
-    setCheese(!cheese);
+    setSentences(sentences.filter((s, i) => i !== Number(index)));
+  }
+
+  function addSentence(sentence) {
+    setSentences(sentences.concat([sentence]));
+  }
+
+  function toggleSentence(index) {
+    setSentences(
+      sentences.map((s, i) =>
+        i === Number(index) ? { ...s, open: !s.open } : s
+      )
+    );
   }
-  const [cheese, setCheese] = useState(true);
 
   let tables = [];
   for (let i in sentences) {
     let s = sentences[i];
+    if (s.firstOrder) {
+      tables.push(
+        <FirstOrderWrapper
+          key={s.id}
+          sentence={s}
+          removeSentence={removeSentence}
+          toggleSentence={toggleSentence}
+          index={i}
+          notation={notation}
+          logic={logic}
+          model={model}
+          setModel={setModel}
+        />
+      );
+      continue;
+    }
+    if (s.modal) {
+      tables.push(
+        <ModalWrapper
+          key={s.id}
+          sentence={s}
+          removeSentence={removeSentence}
+          toggleSentence={toggleSentence}
+          index={i}
+          notation={notation}
+          logic={logic}
+          kripke={kripke}
+          setKripke={setKripke}
+        />
+      );
+      continue;
+    }
     tables.push(
-      <TableWrapper sentence={s} removeSentence={removeSentence} index={i} />
+      <TableWrapper
+        key={s.id}
+        sentence={s}
+        removeSentence={removeSentence}
+        addSentence={addSentence}
+        toggleSentence={toggleSentence}
+        index={i}
+        notation={notation}
+        logic={logic}
+        settings={settings}
+      />
     );
   }
 
   return <div className="tablesContainer">{tables}</div>;
 }
 
-function getLogicType(s) {
-  let n = s.vars.length;
-  let assignments = [];
-  for (let i = 0; i < Math.pow(2, n); i++) {
-    assignments.push([]);
-    for (let j = 0; j < n; j++) {
-      let mod = Math.pow(2, n - j);
-      let bool = i % mod < mod / 2 ? true : false;
-      assignments[i].push(bool);
-    }
-  }
-
-  let Tfound = false;
-  let Ffound = false;
-  for (let a of assignments) {
-    let res = s.node.evaluate(a);
-    if (res) {
-      Tfound = true;
-    } else {
-      Ffound = true;
-    }
-  }
-
-  if (Tfound) {
-    if (Ffound) {
-      return 1;
-    }
-    return 0;
-  }
-  return 2;
-}
+export const logicTypes = [
+  ['Tautologia', '#20615B'],
+  ['Contingencia', '#c2b41b'],
+  ['Contradiccion', '#A21232'],
+];
 
-function TableWrapper({ sentence, removeSentence, index }) {
-  const [show, setShow] = useState(false);
-  const types = [
-    ['Tautologia', '#20615B'],
-    ['Contingencia', '#c2b41b'],
-    ['Contradiccion', '#A21232'],
-  ];
+function TableWrapper({
+  sentence,
+  removeSentence,
+  addSentence,
+  toggleSentence,
+  index,
+  notation,
+  logic,
+  settings,
+}) {
+  const [selected, setSelected] = useState(null);
+  const [view, setView] = useState(defaultTableView);
+  useEffect(() => setSelected(null), [logic]);
+  const types = logicTypes;
   function toggleShow() {
-    setShow(!show);
+    toggleSentence(index);
   }
 
   let table = <div />;
-  if (show) {
-    table = <TruthTable sentence={sentence} />;
+  if (sentence.open) {
+    table = (
+      <div>
+        <TruthTable
+          sentence={sentence}
+          notation={notation}
+          logic={logic}
+          settings={settings}
+          view={view}
+          setView={setView}
+          selected={selected}
+          setSelected={setSelected}
+        />
+        <ClassicalNote logic={logic} />
+        <NormalFormSteps sentence={sentence} />
+        <div className="derivations" onClick={(e) => e.stopPropagation()}>
+          <Minimization sentence={sentence} addSentence={addSentence} />
+          <SyntaxTree sentence={sentence} row={selected} logic={logic} />
+          <TruthTree sentences={[sentence]} notation={notation} />
+          <Completeness
+            sentence={sentence}
+            addSentence={addSentence}
+            notation={notation}
+          />
+        </div>
+      </div>
+    );
   }
 
-  let type = getLogicType(sentence);
+  let typeTask = useTableJob(typeJob(sentence, logic));
+  let type = typeTask.result;
 
   return (
     <div>
@@ -85,17 +181,30 @@ function TableWrapper({ sentence, removeSentence, index }) {
                 paddingLeft: '10px',
               }}
               onClick={(e) => {
+                e.stopPropagation();
                 removeSentence(index);
               }}
             >
               X
             </div>
-            <div dangerouslySetInnerHTML={{ __html: `${sentence.format}` }} />
+            <div>
+              <Formula
+                node={sentence.node}
+                vars={sentence.vars}
+                notation={notation}
+              />
+            </div>
           </div>
           <div className="logicType" />
-          <p className="logicType" style={{ color: types[type][1] }}>
-            {types[type][0]}
-          </p>
+          {type === null ? (
+            <p className="logicType">
+              <JobProgress task={typeTask} label="Clasificando" />
+            </p>
+          ) : (
+            <p className="logicType" style={{ color: types[type][1] }}>
+              {types[type][0]}
+            </p>
+          )}
         </div>
         <div>{table}</div>
       </div>
@@ -103,109 +212,256 @@ function TableWrapper({ sentence, removeSentence, index }) {
   );
 }
 
-function TruthTable({ sentence }) {
-  if (sentence.vars == null) {
-    return <div />;
+/* Clicking a row selects it, and clicking it again clears the selection.
+ * The view (see defaultTableView in tableData.js) picks the columns and rows
+ * shown, and the export gets the table as shown.
+ */
+function TruthTable({
+  sentence,
+  notation,
+  logic,
+  settings,
+  view = defaultTableView,
+  setView,
+  selected = null,
+  setSelected,
+}) {
+  let count = Math.pow(logic.values.length, sentence.vars.length);
+  let rowsTask = useTableJob(
+    count > kMaxTableRows ? null : rowsJob(sentence, logic, settings, view)
+  );
+  if (count > kMaxTableRows) {
+    return <TooManyRows count={count} />;
   }
-  let n = sentence.vars.length;
-  let assignments = [];
-  for (let i = 0; i < Math.pow(2, n); i++) {
-    assignments.push([]);
-    for (let j = 0; j < n; j++) {
-      let mod = Math.pow(2, n - j);
-      let bool = i % mod < mod / 2 ? true : false;
-      assignments[i].push(bool);
-    }
+  // without the rows yet, the table still has the variables and labels the
+  // options need
+  let table = truthTableData(
+    sentence,
+    logic,
+    settings,
+    view,
+    rowsTask.result || new Uint32Array(0)
+  );
+
+  function selectRow(i) {
+    setSelected(i === selected ? null : i);
   }
 
-  let ssnodes = [];
-  let queue = [sentence.node];
-  while (queue.length > 0) {
-    let n = queue.shift();
-    if (n.hasOwnProperty('index')) {
-      continue;
-    }
-    ssnodes.push(n);
-    if (n.hasOwnProperty('lhs')) {
-      queue.push(n.rhs);
-      queue.push(n.lhs);
-      continue;
-    }
-    if (n.hasOwnProperty('underlying')) {
-      queue.push(n.underlying);
-      continue;
-    }
+  let body;
+  if (rowsTask.result === null) {
+    body = (
+      <p>
+        <JobProgress task={rowsTask} label="Calculando la tabla" />
+      </p>
+    );
+  } else if (table.rows.length === 0) {
+    body = <p className="treeHint">Ninguna fila pasa el filtro.</p>;
+  } else {
+    body = (
+      <div>
+        <TableView
+          table={table}
+          highlight={selected === null ? [] : [selected]}
+          notation={notation}
+          onRowClick={setSelected ? selectRow : null}
+        />
+        <TableExport table={table} />
+      </div>
+    );
   }
 
-  let ss = [];
-  let tv = [...Array(assignments.length)].map((_) =>
-    Array(ssnodes.length).fill(0)
+  return (
+    <div>
+      <TableOptions
+        sentence={sentence}
+        view={view}
+        setView={setView}
+        table={table}
+        notation={notation}
+      />
+      {body}
+    </div>
   );
-  for (let i = 0; i < ssnodes.length; i++) {
-    let n = ssnodes[i];
-    ss.push(n.toString(sentence.vars));
-    for (let j = 0; j < assignments.length; j++) {
-      tv[j][i] = n.evaluate(assignments[j]);
-    }
-  }
+}
+
+function TooManyRows({ count }) {
+  return (
+    <p className="treeHint">
+      La tabla tendría {count} filas; solo se muestran tablas de hasta{' '}
+      {kMaxTableRows}.
+    </p>
+  );
+}
+
+/* Tables with more rows than this only keep the rows in sight in the page,
+ * in a box that scrolls.
+ */
+const kVirtualRows = 100;
+
+/* The height of the rows of those tables, which style.css fixes, in px. */
+const kRowHeight = 24;
+
+/* How many rows the box shows, and how many more are kept in the page on
+ * each side so that scrolling does not show blanks.
+ */
+const kVisibleRows = 20;
+const kOverscanRows = 5;
+
+/* Browsers cap the height of elements, so tables taller than this in full
+ * scroll more than a row for every kRowHeight px.
+ */
+const kMaxScrollHeight = 1 << 23;
+
+/* Renders table data (see tableData.js) as an HTML table, highlighting the
+ * rows whose numbers are in highlight. If onRowClick is given, it is called
+ * with the number of the row clicked. Row numbers are those of the standard
+ * order, whatever order the rows are shown in. Only the rows that are
+ * rendered are asked for, so big tables are never built in full.
+ */
+function TableView({ table, highlight = [], notation, onRowClick = null }) {
+  const [scrollTop, setScrollTop] = useState(0);
+  const box = useRef(null);
+
   let header = [];
-  for (let v of sentence.vars) {
-    header.push(<TableCellHeader val={v} />);
+  for (let v of table.variables) {
+    header.push(<td key={header.length}>{v}</td>);
+  }
+  for (let c of table.columns) {
+    header.push(
+      <td key={header.length}>
+        <Formula node={c.node} vars={c.vars} notation={notation} />
+      </td>
+    );
   }
-  for (let s of ss) {
-    header.push(<TableCellHeader val={s} />);
+
+  let count = table.rows.length;
+  let virtual = count > kVirtualRows;
+  let first = 0;
+  let last = count;
+  let top = 0;
+  let bottom = 0;
+  if (virtual) {
+    let viewport = kVisibleRows * kRowHeight;
+    let full = count * kRowHeight;
+    let height = Math.min(full, kMaxScrollHeight);
+    let offset = Math.min(scrollTop, height - viewport);
+    let position = offset * ((full - viewport) / (height - viewport));
+    first = Math.floor(position / kRowHeight);
+    top = Math.max(0, offset - (position - first * kRowHeight));
+    let above = Math.min(first, kOverscanRows, Math.floor(top / kRowHeight));
+    first -= above;
+    top -= above * kRowHeight;
+    last = Math.min(count, first + kVisibleRows + 2 * kOverscanRows);
+    bottom = Math.max(0, height - top - (last - first) * kRowHeight);
   }
 
+  let spacer = (size) =>
+    size > 0 ? (
+      <tr>
+        <td
+          className="spacer"
+          colSpan={header.length}
+          style={{ height: size }}
+        />
+      </tr>
+    ) : null;
+
   let rows = [];
-  for (let i = 0; i < tv.length; i++) {
-    let r = tv[i];
-    r = assignments[i].concat(r);
-    rows.push(<TableRow row={r} />);
+  for (let i = first; i < last; i++) {
+    let r = table.rows.at(i);
+    rows.push(
+      <TableRow
+        key={r.number}
+        row={r.assignment.concat(r.values)}
+        logic={table.logic}
+        highlight={highlight.includes(r.number)}
+        onClick={
+          onRowClick &&
+          ((e) => {
+            e.stopPropagation();
+            onRowClick(r.number);
+          })
+        }
+      />
+    );
   }
 
-  return (
+  let view = (
     <table className="truthTable">
       <tr>{header}</tr>
+      {spacer(top)}
       {rows}
+      {spacer(bottom)}
     </table>
   );
-}
-
-function TableCellHeader({ val }) {
+  if (!virtual) {
+    return view;
+  }
   return (
-    <td>
-      <div dangerouslySetInnerHTML={{ __html: `${val}` }} />
-    </td>
+    <div
+      className="tableScroll"
+      ref={box}
+      style={{ maxHeight: kVisibleRows * kRowHeight }}
+      onScroll={() => setScrollTop(box.current.scrollTop)}
+    >
+      {view}
+    </div>
   );
 }
 
-function TableCell({ val }) {
+export function TableCell({ val, onClick = null, logic = classical }) {
   return (
     <td
       style={{
-        backgroundColor: val ? '#20615B' : '#A21232',
+        backgroundColor: valueColor(logic, val),
       }}
+      onClick={onClick}
     >
-      {val ? 'T' : 'F'}
+      {valueLabel(logic, val)}
     </td>
   );
 }
 
-function TableRow({ row }) {
+function TableRow({ row, highlight, onClick = null, logic }) {
   let rows = [];
   for (let v of row) {
-    rows.push(<TableCell val={v} />);
+    rows.push(<TableCell key={rows.length} val={v} logic={logic} />);
   }
 
-  return <tr>{rows}</tr>;
+  let className =
+    (highlight ? 'highlightRow' : '') + (onClick ? ' clickable' : '');
+  return (
+    <tr className={className.trim()} onClick={onClick}>
+      {rows}
+    </tr>
+  );
+}
+
+/* The tools below the tables are classical, whatever logic the tables are
+ * in, so say so when that is not obvious.
+ */
+function ClassicalNote({ logic }) {
+  if (logic === classical) {
+    return <div />;
+  }
+  return (
+    <p className="treeHint">
+      Las herramientas de abajo usan la lógica clásica.
+    </p>
+  );
 }
 
-export function JointWrapper({ sentences }) {
+export function JointWrapper({
+  sentences,
+  notation,
+  logic = classical,
+  settings = defaultTableSettings,
+}) {
   const [show, setShow] = useState(false);
   const types = [
-    ['doble xd', '#20615B'],
+    ['Satisfacible', '#20615B'],
     ['Sin proposiciones', '#c2b41b'],
-    ['wtf', '#A21232'],
+    ['Insatisfacible', '#A21232'],
   ];
   function toggleShow() {
     setShow(!show);
@@ -213,131 +469,145 @@ export function JointWrapper({ sentences }) {
 
   let table = <div />;
   if (show) {
-    table = <JointTable sentences={sentences} />;
+    table = (
+      <div>
+        <JointTable
+          sentences={sentences}
+          notation={notation}
+          logic={logic}
+          settings={settings}
+        />
+        <ClassicalNote logic={logic} />
+        {sentences.length > 0 ? (
+          <div className="derivations" onClick={(e) => e.stopPropagation()}>
+            <TruthTree sentences={sentences} joint notation={notation} />
+            <ResolutionSteps sentences={sentences} />
+          </div>
+        ) : (
+          <div />
+        )}
+      </div>
+    );
+  }
+
+  let typeTask = useTableJob(jointTypeJob(sentences, logic));
+  let type = typeTask.result;
+  let details = <div />;
+  if (logic === classical && (type === 0 || type === 2)) {
+    details = <JointDetails sentences={sentences} />;
   }
 
-  let type = getJointType(sentences);
   return (
     <div className="tableWrapper" onClick={toggleShow}>
       <div className="tableTitle">
-        <p style={{ color: types[type][1] }}>{types[type][0]}</p>
+        {type === null ? (
+          <p>
+            <JobProgress task={typeTask} label="Comprobando" />
+          </p>
+        ) : (
+          <p style={{ color: types[type][1] }}>{types[type][0]}</p>
+        )}
+        {details}
       </div>
       <div>{table}</div>
     </div>
   );
 }
 
-function getJointType(sentences) {
-  if (sentences.length == 0) {
-    return 1;
-  }
-  let vars = [];
-  for (let s of sentences) {
-    for (let v of s.vars) {
-      if (vars.includes(v)) {
-        continue;
-      }
-      vars.push(v);
-    }
-  }
-  let n = vars.length;
-  let assignments = [];
-  for (let i = 0; i < Math.pow(2, n); i++) {
-    assignments.push([]);
-    for (let j = 0; j < n; j++) {
-      let mod = Math.pow(2, n - j);
-      let bool = i % mod < mod / 2 ? true : false;
-      assignments[i].push(bool);
-    }
-  }
-
-  let varDic = {};
-  for (let i = 0; i < vars.length; i++) {
-    varDic[vars[i]] = i;
-  }
-  let sat = false;
-  for (let j = 0; j < assignments.length; j++) {
-    let trueRowFound = true;
-    for (let i = 0; i < sentences.length; i++) {
-      let n = sentences[i];
-      let assignment = [];
-      for (let v of n.vars) {
-        assignment.push(assignments[j][varDic[v]]);
-      }
-      trueRowFound = trueRowFound && n.node.evaluate(assignment);
-    }
-    sat = sat || trueRowFound;
+/* A model and the number of models of a satisfiable set of sentences, or a
+ * minimal unsatisfiable subset of an unsatisfiable one. Both can take long,
+ * so they are worked out as a table job (see jointDetails in tableJobs.js).
+ */
+function JointDetails({ sentences }) {
+  let task = useTableJob(jointDetailsJob(sentences));
+  if (task.result === null) {
+    return (
+      <div className="jointDetails">
+        <JobProgress task={task} label="Calculando" />
+      </div>
+    );
   }
-  if (sat) {
-    return 0;
+  if (task.result.model !== null) {
+    return (
+      <SatisfyingAssignment
+        sentences={sentences}
+        model={task.result.model}
+        count={task.result.count}
+      />
+    );
   }
-  return 2;
+  return <UnsatisfiableCore sentences={sentences} core={task.result.core} />;
 }
 
-function JointTable({ sentences }) {
-  if (sentences.length == 0) {
-    return <div> </div>;
-  }
-  let vars = [];
-  for (let s of sentences) {
-    for (let v of s.vars) {
-      if (vars.includes(v)) {
-        continue;
-      }
-      vars.push(v);
-    }
-  }
-  let n = vars.length;
-  let assignments = [];
-  for (let i = 0; i < Math.pow(2, n); i++) {
-    assignments.push([]);
-    for (let j = 0; j < n; j++) {
-      let mod = Math.pow(2, n - j);
-      let bool = i % mod < mod / 2 ? true : false;
-      assignments[i].push(bool);
-    }
-  }
+function SatisfyingAssignment({ sentences, model, count }) {
+  let vars = jointVariables(sentences);
 
-  let header = [];
-  for (let v of vars) {
-    header.push(<TableCellHeader val={v} />);
-  }
-  for (let s of sentences) {
-    header.push(<TableCellHeader val={s.format} />);
-  }
+  let assignment = vars
+    .map((v) => v + ' = ' + (model[v] ? 'T' : 'F'))
+    .join(', ');
+  let total = (BigInt(1) << BigInt(vars.length)).toString();
 
-  let tv = [...Array(assignments.length)].map((_) =>
-    Array(sentences.length).fill(0)
+  return (
+    <div className="jointDetails">
+      <div>Asignación: {assignment.length > 0 ? assignment : '—'}</div>
+      <div>
+        Modelos:{' '}
+        {count === null
+          ? 'demasiados para contarlos'
+          : count.toString() + ' de ' + total}
+      </div>
+    </div>
   );
+}
 
-  let varDic = {};
-  for (let i = 0; i < vars.length; i++) {
-    varDic[vars[i]] = i;
-  }
+function UnsatisfiableCore({ sentences, core }) {
+  let items = core.map((i) => (
+    <li
+      key={i}
+      dangerouslySetInnerHTML={{ __html: `${sentences[i].format}` }}
+    />
+  ));
 
-  for (let i = 0; i < sentences.length; i++) {
-    let n = sentences[i];
-    for (let j = 0; j < assignments.length; j++) {
-      //get only vars in sentence
-      let assignment = [];
-      for (let v of n.vars) {
-        assignment.push(assignments[j][varDic[v]]);
-      }
-      tv[j][i] = n.node.evaluate(assignment);
-    }
-  }
+  return (
+    <div className="jointDetails">
+      <div>Subconjunto insatisfacible mínimo:</div>
+      <ul>{items}</ul>
+    </div>
+  );
+}
 
-  let rows = [];
-  for (let i = 0; i < tv.length; i++) {
-    let r = tv[i];
-    r = assignments[i].concat(r);
-    rows.push(<TableRow row={r} />);
+export function JointTable({
+  sentences,
+  highlight = [],
+  notation,
+  logic = classical,
+  settings = defaultTableSettings,
+}) {
+  let count = Math.pow(logic.values.length, jointVariables(sentences).length);
+  let rowsTask = useTableJob(
+    sentences.length === 0 || count > kMaxTableRows
+      ? null
+      : jointRowsJob(sentences, logic, settings)
+  );
+  if (sentences.length === 0) {
+    return <div> </div>;
+  }
+  if (count > kMaxTableRows) {
+    return <TooManyRows count={count} />;
   }
+  if (rowsTask.result === null) {
+    return (
+      <p>
+        <JobProgress task={rowsTask} label="Calculando la tabla" />
+      </p>
+    );
+  }
+  let table = jointTableData(sentences, logic, settings, rowsTask.result);
 
   return (
-    <table className="truthTable">
-      <tr>{header}</tr>
-      {rows}
-    </table>
+    <div>
+      <TableView table={table} highlight={highlight} notation={notation} />
+      <TableExport table={table} name="conjunto" />
+    </div>
   );
 }
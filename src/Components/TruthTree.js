@@ -0,0 +1,97 @@
+import * as React from 'react';
+import { jointTableau, kMaxTableauLines, validityTableau } from './tableau';
+import { jointVariables } from './sentences';
+import { Formula } from './NotationPicker';
+
+/* The truth tree of a sentence tests whether it is a tautology; the truth tree
+ * of the joint set tests whether it is satisfiable.
+ */
+export function TruthTree({ sentences, joint = false, notation }) {
+  let vars = jointVariables(sentences);
+  let tableau = joint ? jointTableau(sentences) : validityTableau(sentences[0]);
+
+  let verdict;
+  if (tableau.truncated) {
+    verdict = <p>El árbol se cortó tras {kMaxTableauLines} líneas.</p>;
+  } else if (tableau.closed) {
+    verdict = (
+      <p style={{ color: joint ? '#A21232' : '#20615B' }}>
+        Todas las ramas se cierran:{' '}
+        {joint
+          ? 'el conjunto es insatisfacible.'
+          : 'la proposición es una tautología.'}
+      </p>
+    );
+  } else {
+    verdict = (
+      <div>
+        <p>
+          Ramas abiertas ({joint ? 'modelos' : 'contramodelos'}, las variables
+          que faltan pueden tomar cualquier valor):
+        </p>
+        <ul>
+          {tableau.models.map((model, i) => (
+            <li key={i}>{modelText(vars, model)}</li>
+          ))}
+        </ul>
+      </div>
+    );
+  }
+
+  return (
+    <details>
+      <summary>Árbol de verdad</summary>
+      {verdict}
+      <div className="tableau">
+        <TableauNode node={tableau.root} vars={vars} notation={notation} />
+      </div>
+    </details>
+  );
+}
+
+function modelText(vars, model) {
+  let assigned = vars.filter((v) => v in model);
+  if (assigned.length === 0) return 'cualquier asignación';
+  return assigned.map((v) => v + ' = ' + (model[v] ? 'T' : 'F')).join(', ');
+}
+
+function TableauNode({ node, vars, notation }) {
+  let rows = node.entries.map((e) => (
+    <tr key={e.line}>
+      <td>{e.line}.</td>
+      <td className="stepFormula">
+        <Formula node={e.node} vars={vars} notation={notation} />
+      </td>
+      <td className="stepRule">
+        {e.from === null ? e.rule : e.rule + ' ' + e.from}
+      </td>
+    </tr>
+  ));
+
+  let end = <div />;
+  if (node.status === 'closed') {
+    end = <div className="branchClosed">✕ {node.closedBy.join(', ')}</div>;
+  } else if (node.status === 'open') {
+    end = <div className="branchOpen">○ abierta</div>;
+  } else if (node.status === 'truncated') {
+    end = <div>…</div>;
+  }
+
+  return (
+    <div className="tableauNode">
+      <table className="stepTable">
+        <tbody>{rows}</tbody>
+      </table>
+      {end}
+      {node.children.length > 0 ? (
+        <div className="tableauChildren">
+          {node.children.map((child, i) => (
+            <TableauNode key={i} node={child} vars={vars} notation={notation} />
+          ))}
+        </div>
+      ) : (
+        <div />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import * as React from 'react';
+import { useState } from 'react';
+import { newWorkspace } from './storage';
+
+export function Workspaces({ workspaces, current, setWorkspaces, switchTo }) {
+  const [editing, setEditing] = useState(null);
+  const [name, setName] = useState('');
+
+  let active = workspaces.find((w) => w.id === current);
+
+  function startEditing(mode) {
+    setEditing(mode);
+    setName(mode === 'rename' ? active.name : '');
+  }
+
+  function finishEditing(event) {
+    event.preventDefault();
+    let trimmed = name.trim();
+    if (trimmed.length === 0) return;
+
+    if (editing === 'rename') {
+      setWorkspaces(
+        workspaces.map((w) => (w.id === current ? { ...w, name: trimmed } : w))
+      );
+    } else {
+      let created = newWorkspace(trimmed);
+      setWorkspaces(workspaces.concat([created]));
+      switchTo(created);
+    }
+    setEditing(null);
+  }
+
+  function duplicate() {
+    let copy = newWorkspace(active.name + ' (copia)', active.sentences.slice());
+    setWorkspaces(workspaces.concat([copy]));
+    switchTo(copy);
+  }
+
+  function remove() {
+    if (!window.confirm('¿Eliminar el espacio "' + active.name + '"?')) {
+      return;
+    }
+    let rest = workspaces.filter((w) => w.id !== current);
+    setWorkspaces(rest);
+    switchTo(rest[0]);
+  }
+
+  let options = workspaces.map((w) => (
+    <option key={w.id} value={w.id}>
+      {w.name}
+    </option>
+  ));
+
+  if (editing !== null) {
+    return (
+      <form className="workspaces" onSubmit={finishEditing}>
+        <input
+          className="textBox"
+          type="text"
+          autoFocus
+          placeholder="Nombre del espacio"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <input className="smallbutton" type="submit" value="Guardar" />
+        <button
+          className="smallbutton"
+          type="button"
+          onClick={() => setEditing(null)}
+        >
+          Cancelar
+        </button>
+      </form>
+    );
+  }
+
+  return (
+    <div className="workspaces">
+      <span>Espacio de trabajo: </span>
+      <select
+        value={current}
+        onChange={(e) =>
+          switchTo(workspaces.find((w) => w.id === e.target.value))
+        }
+      >
+        {options}
+      </select>
+      <button className="smallbutton" onClick={() => startEditing('new')}>
+        Nuevo
+      </button>
+      <button className="smallbutton" onClick={() => startEditing('rename')}>
+        Renombrar
+      </button>
+      <button className="smallbutton" onClick={duplicate}>
+        Duplicar
+      </button>
+      <button
+        className="smallbutton"
+        onClick={remove}
+        disabled={workspaces.length === 1}
+      >
+        Eliminar
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { parseError } from './parser';
+import { findModel, negation } from './sat';
+import { isPropositional, makeSentence } from './sentences';
+
+/* Lexemes that separate the premises from the conclusion. */
+const kTurnstiles = ['|-', '⊢'];
+
+/* Function: parseArgument
+ *
+ * Parses an argument written as "p -> q, p |- q" into its premises and
+ * conclusion. Errors are thrown in the same shape the parser uses, with the
+ * positions relative to the whole argument.
+ */
+export function parseArgument(text) {
+  let at = -1;
+  let width = 0;
+  for (let t of kTurnstiles) {
+    let i = text.indexOf(t);
+    if (i !== -1 && (at === -1 || i < at)) {
+      at = i;
+      width = t.length;
+    }
+  }
+  if (at === -1) {
+    parseError(
+      'Falta el símbolo ⊢ (o |-) antes de la conclusión.',
+      text.length,
+      text.length + 1
+    );
+  }
+
+  let premises = [];
+  let offset = 0;
+  let left = text.substring(0, at);
+  if (left.trim().length > 0) {
+    for (let part of left.split(',')) {
+      premises.push(parsePart(part, offset));
+      offset += part.length + 1;
+    }
+  }
+
+  let conclusion = parsePart(text.substring(at + width), at + width);
+  return { premises: premises, conclusion: conclusion };
+}
+
+function parsePart(part, offset) {
+  if (part.trim().length === 0) {
+    parseError(
+      'Aquí falta una proposición.',
+      offset,
+      offset + Math.max(part.length, 1)
+    );
+  }
+  let sentence;
+  let shift = offset + part.indexOf(part.trim());
+  try {
+    sentence = makeSentence(part.trim());
+  } catch (error) {
+    parseError(error.description, error.start + shift, error.end + shift);
+  }
+  if (!isPropositional(sentence)) {
+    parseError(
+      'Esta fórmula no tiene tabla de verdad.',
+      shift,
+      shift + part.trim().length
+    );
+  }
+  return sentence;
+}
+
+/* Function: checkArgument
+ *
+ * Checks whether the conclusion follows from the premises, by asking the SAT
+ * solver for an assignment that makes every premise true and the conclusion
+ * false. Returns an object with these fields:
+ *
+ *   valid:          Whether the argument is valid.
+ *   counterexample: Such an assignment, as findModel returns it, or null.
+ *                   The rows of the joint table where this happens are
+ *                   listed by counterexampleRows in tableJobs.js.
+ */
+export function checkArgument(premises, conclusion) {
+  let counterexample = findModel(premises.concat([negation(conclusion)]));
+  return { valid: counterexample === null, counterexample: counterexample };
+}
@@ -0,0 +1,175 @@
+import {
+  andNode,
+  falseNode,
+  iffNode,
+  impliesNode,
+  nandNode,
+  negateNode,
+  norNode,
+  orNode,
+  trueNode,
+  variableNode,
+  xorNode,
+} from './parser';
+
+/* Rewriting formulas into functionally complete sets of connectives.
+ *
+ * Every basis says how to write ¬, ∧ and ∨ with its own connectives, and may
+ * give shorter forms for the rest; whatever it leaves out is written with
+ * ¬, ∧ and ∨. The constants are written with the first variable, as ⊤ = p ∨ ¬p
+ * and ⊥ = ¬⊤, since none of these sets has constants of its own; so formulas
+ * without variables cannot be rewritten.
+ */
+
+let nand = (a, b) => new nandNode(a, b);
+let nor = (a, b) => new norNode(a, b);
+let not = (a) => new negateNode(a);
+let and = (a, b) => new andNode(a, b);
+let implies = (a, b) => new impliesNode(a, b);
+
+export const bases = [
+  {
+    name: 'nand',
+    label: 'Solo ↑ (NAND)',
+    not: (a) => nand(a, a),
+    and: (a, b) => nand(nand(a, b), nand(a, b)),
+    or: (a, b) => nand(nand(a, a), nand(b, b)),
+    implies: (a, b) => nand(a, nand(b, b)),
+    iff: (a, b) => nand(nand(a, b), nand(nand(a, a), nand(b, b))),
+    xor: (a, b) => nand(nand(a, nand(a, b)), nand(b, nand(a, b))),
+    nand: nand,
+  },
+  {
+    name: 'nor',
+    label: 'Solo ↓ (NOR)',
+    not: (a) => nor(a, a),
+    and: (a, b) => nor(nor(a, a), nor(b, b)),
+    or: (a, b) => nor(nor(a, b), nor(a, b)),
+    iff: (a, b) => nor(nor(a, nor(a, b)), nor(b, nor(a, b))),
+    xor: (a, b) => nor(nor(a, b), nor(nor(a, a), nor(b, b))),
+    nor: nor,
+  },
+  {
+    name: 'notAnd',
+    label: '{¬, ∧}',
+    not: not,
+    and: and,
+    or: (a, b) => not(and(not(a), not(b))),
+    implies: (a, b) => not(and(a, not(b))),
+    nand: (a, b) => not(and(a, b)),
+  },
+  {
+    name: 'notImplies',
+    label: '{¬, →}',
+    not: not,
+    and: (a, b) => not(implies(a, not(b))),
+    or: (a, b) => implies(not(a), b),
+    implies: implies,
+  },
+];
+
+/* The connectives a basis may leave out, in terms of ¬, ∧ and ∨. */
+const fallbacks = {
+  implies: (basis, a, b) => basis.or(basis.not(a), b),
+  iff: (basis, a, b) =>
+    basis.and(write(basis, 'implies', a, b), write(basis, 'implies', b, a)),
+  xor: (basis, a, b) =>
+    basis.or(basis.and(a, basis.not(b)), basis.and(basis.not(a), b)),
+  nand: (basis, a, b) => basis.not(basis.and(a, b)),
+  nor: (basis, a, b) => basis.not(basis.or(a, b)),
+};
+
+function write(basis, connective, a, b) {
+  if (basis[connective]) return basis[connective](a, b);
+  return fallbacks[connective](basis, a, b);
+}
+
+const binaryNames = [
+  [andNode, 'and', '∧'],
+  [orNode, 'or', '∨'],
+  [impliesNode, 'implies', '→'],
+  [iffNode, 'iff', '↔'],
+  [xorNode, 'xor', '⊕'],
+  [nandNode, 'nand', '↑'],
+  [norNode, 'nor', '↓'],
+];
+
+/* Beyond this many nodes written out, a rewritten formula is not shown. */
+export const kMaxRewriteNodes = 5000;
+
+/* Function: writtenSize
+ *
+ * Returns how many nodes the AST has once written out, counting shared
+ * subtrees once for every place they appear.
+ */
+export function writtenSize(node) {
+  let sizes = new Map();
+  function size(n) {
+    if (sizes.has(n)) return sizes.get(n);
+    let total = 1;
+    if (n.hasOwnProperty('underlying')) {
+      total += size(n.underlying);
+    } else if (n.hasOwnProperty('lhs')) {
+      total += size(n.lhs) + size(n.rhs);
+    }
+    sizes.set(n, total);
+    return total;
+  }
+  return size(node);
+}
+
+/* Function: rewriteInBasis
+ *
+ * Rewrites the AST bottom-up into the basis with the given name. Returns the
+ * result and the substitutions made, as { rule, before, after } where before
+ * is the connective applied to the already rewritten operands. Rewritten
+ * operands are shared, not copied, so building the result is cheap. Written
+ * out it is not: every basis writes ↔ and ⊕ with each operand at least twice,
+ * so the text can grow exponentially with how deeply they are nested (see
+ * writtenSize).
+ */
+export function rewriteInBasis(node, name) {
+  let basis = bases.find((b) => b.name === name);
+  let steps = [];
+
+  function rewrite(n) {
+    if (n instanceof variableNode) return n;
+    if (n instanceof trueNode || n instanceof falseNode) {
+      let p = new variableNode(0);
+      let top = basis.or(p, basis.not(p));
+      let after = n instanceof trueNode ? top : basis.not(top);
+      steps.push({
+        rule: 'Sustitución de ' + (n instanceof trueNode ? '⊤' : '⊥'),
+        before: n,
+        after: after,
+      });
+      return after;
+    }
+    if (n instanceof negateNode) {
+      let a = rewrite(n.underlying);
+      let after = basis.not(a);
+      if (!(after instanceof negateNode)) {
+        steps.push({ rule: 'Sustitución de ¬', before: not(a), after: after });
+      }
+      return after;
+    }
+    for (let [type, connective, symbol] of binaryNames) {
+      if (n instanceof type) {
+        let a = rewrite(n.lhs);
+        let b = rewrite(n.rhs);
+        let after = write(basis, connective, a, b);
+        if (!(after instanceof type && after.lhs === a && after.rhs === b)) {
+          steps.push({
+            rule: 'Sustitución de ' + symbol,
+            before: new type(a, b),
+            after: after,
+          });
+        }
+        return after;
+      }
+    }
+    throw new Error('Unknown node type in rewriter.');
+  }
+
+  return { result: rewrite(node), steps: steps };
+}
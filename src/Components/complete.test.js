@@ -0,0 +1,29 @@
+import { bases, rewriteInBasis, writtenSize } from './complete';
+import { formatNode } from './formatters';
+import { allAssignments, makeSentence } from './sentences';
+
+test('every basis rewrites a sentence into an equivalent one', () => {
+  let sentence = makeSentence(
+    '((p <-> q) xor (p nor r)) -> (T /\\ ~(q nand r))'
+  );
+  for (let basis of bases) {
+    let { result } = rewriteInBasis(sentence.node, basis.name);
+    for (let row of allAssignments(sentence.vars.length)) {
+      expect(result.evaluate(row)).toBe(sentence.node.evaluate(row));
+    }
+  }
+});
+
+test('writtenSize counts shared operands every time they are written', () => {
+  let text = 'p';
+  for (let i = 0; i < 12; i++) text = '(' + text + ' <-> q)';
+  let sentence = makeSentence(text);
+  let { result } = rewriteInBasis(sentence.node, 'nand');
+  let size = writtenSize(result);
+  expect(size).toBeGreaterThan(1 << 12);
+
+  let short = makeSentence('(p <-> q) <-> q');
+  let written = rewriteInBasis(short.node, 'nand').result;
+  let symbols = formatNode(written, short.vars, 'ascii').match(/[pq]|nand/g);
+  expect(writtenSize(written)).toBe(symbols.length);
+});
@@ -0,0 +1,43 @@
+import { iffNode } from './parser';
+import { findModel, negation } from './sat';
+import { jointVariables, remapVariables } from './sentences';
+
+/* Function: biconditional
+ *
+ * Builds the sentence a <-> b over the union of the variables of a and b.
+ */
+export function biconditional(a, b) {
+  let vars = jointVariables([a, b]);
+  let node = new iffNode(
+    remapVariables(a.node, a.vars, vars),
+    remapVariables(b.node, b.vars, vars)
+  );
+  return {
+    plain: '(' + a.plain + ') <-> (' + b.plain + ')',
+    format: node.toString(vars),
+    node: node,
+    vars: vars,
+  };
+}
+
+/* Function: checkEquivalence
+ *
+ * Decides whether a and b are equivalent by asking the SAT solver for an
+ * assignment that falsifies their biconditional. Returns an object with these
+ * fields:
+ *
+ *   equivalent:     Whether they are.
+ *   sentence:       The biconditional itself.
+ *   counterexample: An assignment on which they differ, as findModel returns
+ *                   it, or null. The rows on which they differ are listed by
+ *                   disagreementRows in tableJobs.js.
+ */
+export function checkEquivalence(a, b) {
+  let sentence = biconditional(a, b);
+  let counterexample = findModel([negation(sentence)]);
+  return {
+    equivalent: counterexample === null,
+    sentence: sentence,
+    counterexample: counterexample,
+  };
+}
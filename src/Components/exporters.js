@@ -0,0 +1,107 @@
+import { formatNode } from './formatters';
+import { valueLabel } from './logics';
+
+/* Serializations of table data (see tableData.js) for pasting elsewhere. */
+
+function headers(table, notation) {
+  return table.variables.concat(
+    table.columns.map((c) => formatNode(c.node, c.vars, notation))
+  );
+}
+
+function cells(table, row) {
+  return row.assignment
+    .concat(row.values)
+    .map((v) => valueLabel(table.logic, v));
+}
+
+/* Function: toCSV
+ *
+ * Writes the table as comma-separated values with a header line.
+ */
+export function toCSV(table) {
+  let quote = (field) =>
+    /[",\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field;
+  let lines = [headers(table, 'unicode').map(quote).join(',')];
+  for (let row of table.rows) {
+    lines.push(cells(table, row).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/* Function: toLatex
+ *
+ * Writes the table as a LaTeX tabular, with the formulas in math mode and a
+ * rule separating the variables from the formulas.
+ */
+export function toLatex(table) {
+  let spec =
+    'c'.repeat(table.variables.length) + '|' + 'c'.repeat(table.columns.length);
+  let lines = ['\\begin{tabular}{' + spec + '}'];
+  lines.push(
+    headers(table, 'latex')
+      .map((h) => '$' + h + '$')
+      .join(' & ') + ' \\\\'
+  );
+  lines.push('\\hline');
+  for (let row of table.rows) {
+    let fields = cells(table, row).map((c) =>
+      c === '½' ? '$\\frac{1}{2}$' : c
+    );
+    lines.push(fields.join(' & ') + ' \\\\');
+  }
+  lines.push('\\end{tabular}');
+  return lines.join('\n') + '\n';
+}
+
+/* Function: toMarkdown
+ *
+ * Writes the table as a Markdown (GFM) table.
+ */
+export function toMarkdown(table) {
+  let line = (fields) => '| ' + fields.join(' | ') + ' |';
+  let head = headers(table, 'unicode');
+  let lines = [line(head), line(head.map(() => ':---:'))];
+  for (let row of table.rows) {
+    lines.push(line(cells(table, row)));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/* Function: toJSON
+ *
+ * Writes the variables, the formula headers and the rows as JSON.
+ */
+export function toJSON(table) {
+  return (
+    JSON.stringify(
+      {
+        variables: table.variables,
+        headers: table.columns.map((c) => formatNode(c.node, c.vars)),
+        rows: Array.from(table.rows, (r) => ({
+          assignment: r.assignment,
+          values: r.values,
+        })),
+      },
+      null,
+      2
+    ) + '\n'
+  );
+}
+
+export const exporters = [
+  { name: 'CSV', extension: 'csv', type: 'text/csv', write: toCSV },
+  {
+    name: 'LaTeX',
+    extension: 'tex',
+    type: 'application/x-tex',
+    write: toLatex,
+  },
+  {
+    name: 'Markdown',
+    extension: 'md',
+    type: 'text/markdown',
+    write: toMarkdown,
+  },
+  { name: 'JSON', extension: 'json', type: 'application/json', write: toJSON },
+];
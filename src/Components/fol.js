@@ -0,0 +1,257 @@
+import { connectiveOf } from './formatters';
+import { negation } from './sat';
+
+/* First-order models on small finite domains.
+ *
+ * A model is a plain object, so it can be kept in state and copied as is:
+ *
+ *   size:       The number of elements of the domain. They are 0 to size - 1
+ *               here and shown as 1 to size.
+ *   atoms:      The truth value of each propositional variable, by name.
+ *   constants:  The element each constant names, by name.
+ *   predicates: The extension of each predicate, by name, as a list of the
+ *               tuples it holds of written like "0,1".
+ *
+ * Anything the model leaves out is false, names the first element or has an
+ * empty extension.
+ */
+
+/* The largest domain the model editor offers. */
+export const kMaxEditorDomain = 6;
+
+/* The largest domain the model search tries. */
+export const kMaxSearchDomain = 4;
+
+/* The search stops at domain sizes with more interpretations than this. */
+const kMaxInterpretations = 1 << 16;
+
+/* Truth functions of the connectives, by the names connectiveOf uses. */
+export const truthFunctions = {
+  top: () => true,
+  bot: () => false,
+  not: (a) => !a,
+  and: (a, b) => a && b,
+  or: (a, b) => a || b,
+  implies: (a, b) => !a || b,
+  iff: (a, b) => a === b,
+  xor: (a, b) => a !== b,
+  nand: (a, b) => !(a && b),
+  nor: (a, b) => !(a || b),
+};
+
+/* Function: emptyModel
+ *
+ * Returns a model with the given number of elements in which nothing holds.
+ */
+export function emptyModel(size = 2) {
+  return { size: size, atoms: {}, constants: {}, predicates: {} };
+}
+
+/* Function: signatureOf
+ *
+ * Returns what a model of the sentences has to interpret: the propositional
+ * variables as atoms, the predicates as { name, arity }, and the constants,
+ * which are the terms no quantifier binds. All of them are sorted by name.
+ */
+export function signatureOf(sentences) {
+  let atoms = new Set();
+  let constants = new Set();
+  let predicates = new Map();
+
+  let visit = (node, bound) => {
+    if (node.hasOwnProperty('index')) return;
+    if (node.hasOwnProperty('args')) {
+      predicates.set(node.name, node.args.length);
+      for (let term of node.args) {
+        if (!bound.includes(term)) constants.add(term);
+      }
+    } else if (node.hasOwnProperty('body')) {
+      visit(node.body, bound.concat([node.variable]));
+    } else if (node.hasOwnProperty('underlying')) {
+      visit(node.underlying, bound);
+    } else if (node.hasOwnProperty('lhs')) {
+      visit(node.lhs, bound);
+      visit(node.rhs, bound);
+    }
+  };
+  for (let s of sentences) {
+    s.vars.forEach((v) => atoms.add(v));
+    visit(s.node, []);
+  }
+
+  return {
+    atoms: Array.from(atoms).sort(),
+    constants: Array.from(constants).sort(),
+    predicates: Array.from(predicates.keys())
+      .sort()
+      .map((name) => ({ name: name, arity: predicates.get(name) })),
+  };
+}
+
+/* Function: tuplesOf
+ *
+ * Returns every tuple of the given length over a domain of the given size, in
+ * lexicographic order.
+ */
+export function tuplesOf(size, arity) {
+  let tuples = [[]];
+  for (let i = 0; i < arity; i++) {
+    let longer = [];
+    for (let t of tuples) {
+      for (let d = 0; d < size; d++) {
+        longer.push(t.concat([d]));
+      }
+    }
+    tuples = longer;
+  }
+  return tuples;
+}
+
+/* Function: resizeModel
+ *
+ * Changes the size of the domain, dropping the tuples with elements that no
+ * longer exist and sending constants that named them to the first element.
+ */
+export function resizeModel(model, size) {
+  let predicates = {};
+  for (let name in model.predicates) {
+    predicates[name] = model.predicates[name].filter((key) =>
+      key.split(',').every((d) => Number(d) < size)
+    );
+  }
+  let constants = {};
+  for (let name in model.constants) {
+    constants[name] = model.constants[name] < size ? model.constants[name] : 0;
+  }
+  return { ...model, size: size, constants: constants, predicates: predicates };
+}
+
+/* Function: holds
+ *
+ * Returns whether the sentence is true in the model.
+ */
+export function holds(sentence, model) {
+  let extensions = {};
+  for (let name in model.predicates) {
+    extensions[name] = new Set(model.predicates[name]);
+  }
+  return evaluate(sentence.node, sentence.vars, model, extensions, {});
+}
+
+/* Evaluates the AST in the model, with env giving the elements the bound
+ * variables currently stand for.
+ */
+function evaluate(node, vars, model, extensions, env) {
+  let connective = connectiveOf(node);
+
+  if (connective === null) return model.atoms[vars[node.index]] === true;
+  if (connective === 'atom') {
+    let key = node.args
+      .map((term) =>
+        env.hasOwnProperty(term) ? env[term] : model.constants[term] || 0
+      )
+      .join(',');
+    return (
+      extensions.hasOwnProperty(node.name) && extensions[node.name].has(key)
+    );
+  }
+  if (connective === 'forall' || connective === 'exists') {
+    for (let d = 0; d < model.size; d++) {
+      let value = evaluate(node.body, vars, model, extensions, {
+        ...env,
+        [node.variable]: d,
+      });
+      if (value !== (connective === 'forall')) return value;
+    }
+    return connective === 'forall';
+  }
+  if (connective === 'not') {
+    return !evaluate(node.underlying, vars, model, extensions, env);
+  }
+  if (node.hasOwnProperty('lhs')) {
+    return truthFunctions[connective](
+      evaluate(node.lhs, vars, model, extensions, env),
+      evaluate(node.rhs, vars, model, extensions, env)
+    );
+  }
+  return truthFunctions[connective]();
+}
+
+/* Function: interpretationCount
+ *
+ * Returns how many models of the signature there are with a domain of the
+ * given size.
+ */
+export function interpretationCount(signature, size) {
+  let bits = signature.atoms.length;
+  for (let p of signature.predicates) {
+    bits += Math.pow(size, p.arity);
+  }
+  return Math.pow(2, bits) * Math.pow(size, signature.constants.length);
+}
+
+/* Function: interpretationAt
+ *
+ * Returns model number k of the signature on a domain of the given size, for k
+ * from 0 to interpretationCount - 1. The number is read as a mixed-radix
+ * numeral: one digit per constant, then one bit per atom and per tuple of
+ * every predicate.
+ */
+export function interpretationAt(signature, size, k) {
+  let model = emptyModel(size);
+  for (let c of signature.constants) {
+    model.constants[c] = k % size;
+    k = Math.floor(k / size);
+  }
+  for (let a of signature.atoms) {
+    model.atoms[a] = k % 2 === 1;
+    k = Math.floor(k / 2);
+  }
+  for (let p of signature.predicates) {
+    model.predicates[p.name] = [];
+    for (let tuple of tuplesOf(size, p.arity)) {
+      if (k % 2 === 1) model.predicates[p.name].push(tuple.join(','));
+      k = Math.floor(k / 2);
+    }
+  }
+  return model;
+}
+
+/* Function: searchModel
+ *
+ * Looks for a model of all the sentences, trying every interpretation of
+ * their signature on domains of 1 to kMaxSearchDomain elements, smallest
+ * first. The result has these fields:
+ *
+ *   model:    The first model found, or null.
+ *   searched: The size of its domain or, without a model, the largest domain
+ *             size that was searched exhaustively.
+ *
+ * The search stops before the first domain size with too many
+ * interpretations, so not finding a model only means there is none up to the
+ * searched size.
+ */
+export function searchModel(sentences) {
+  let signature = signatureOf(sentences);
+  let searched = 0;
+  for (let size = 1; size <= kMaxSearchDomain; size++) {
+    let count = interpretationCount(signature, size);
+    if (count > kMaxInterpretations) break;
+    for (let k = 0; k < count; k++) {
+      let model = interpretationAt(signature, size, k);
+      if (sentences.every((s) => holds(s, model))) {
+        return { model: model, searched: size };
+      }
+    }
+    searched = size;
+  }
+  return { model: null, searched: searched };
+}
+
+/* Function: searchCountermodel
+ *
+ * Looks for a model in which the sentence is false, as searchModel does.
+ */
+export function searchCountermodel(sentence) {
+  return searchModel([negation(sentence)]);
+}
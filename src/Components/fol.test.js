@@ -0,0 +1,86 @@
+import { holds, searchCountermodel, searchModel, signatureOf } from './fol';
+import { formatNode } from './formatters';
+import { makeSentence } from './sentences';
+
+test('signatureOf lists what a model has to interpret', () => {
+  let sentence = makeSentence('forall x (P(x) -> R(x, a)) /\\ q');
+  expect(signatureOf([sentence])).toEqual({
+    atoms: ['q'],
+    constants: ['a'],
+    predicates: [
+      { name: 'P', arity: 1 },
+      { name: 'R', arity: 2 },
+    ],
+  });
+});
+
+test('holds evaluates quantifiers over the domain', () => {
+  let model = {
+    size: 3,
+    atoms: {},
+    constants: { a: 2 },
+    predicates: { P: ['0', '2'], R: ['0,1', '1,2', '2,0'] },
+  };
+  let check = (text) => holds(makeSentence(text), model);
+  expect(check('P(a)')).toBe(true);
+  expect(check('forall x P(x)')).toBe(false);
+  expect(check('exists x ~P(x)')).toBe(true);
+  expect(check('forall x exists y R(x, y)')).toBe(true);
+  expect(check('exists y forall x R(x, y)')).toBe(false);
+});
+
+test('searchCountermodel finds no countermodel of valid sentences', () => {
+  for (let text of [
+    'forall x P(x) -> exists x P(x)',
+    'exists y forall x R(x, y) -> forall x exists y R(x, y)',
+    '~(exists x P(x)) <-> forall x ~P(x)',
+  ]) {
+    let result = searchCountermodel(makeSentence(text));
+    expect(result.model).toBeNull();
+    expect(result.searched).toBeGreaterThan(0);
+  }
+});
+
+test('the countermodels searchCountermodel finds are ones', () => {
+  for (let text of [
+    'exists x P(x) -> forall x P(x)',
+    'forall x exists y R(x, y) -> exists y forall x R(x, y)',
+    'P(a) -> P(b)',
+  ]) {
+    let sentence = makeSentence(text);
+    let result = searchCountermodel(sentence);
+    expect(result.model).not.toBeNull();
+    expect(holds(sentence, result.model)).toBe(false);
+  }
+});
+
+test('searchModel finds models only of satisfiable sets', () => {
+  let sentences = ['exists x P(x)', 'exists x ~P(x)'].map(makeSentence);
+  let result = searchModel(sentences);
+  expect(result.model.size).toBe(2);
+  expect(sentences.every((s) => holds(s, result.model))).toBe(true);
+
+  let contradictory = ['forall x P(x)', 'exists x ~P(x)'].map(makeSentence);
+  expect(searchModel(contradictory).model).toBeNull();
+});
+
+test('a quantifier covers only what follows it, unless in parentheses', () => {
+  let narrow = makeSentence('forall x P(x) -> Q(x)');
+  let wide = makeSentence('forall x (P(x) -> Q(x))');
+  expect(narrow.node.lhs.quantifier).toBe('forall');
+  expect(wide.node.quantifier).toBe('forall');
+
+  for (let sentence of [narrow, wide]) {
+    let ascii = formatNode(sentence.node, sentence.vars, 'ascii');
+    expect(makeSentence(ascii).format).toBe(sentence.format);
+  }
+  expect(formatNode(wide.node, wide.vars, 'ascii')).toBe(
+    'forall x (P(x) -> Q(x))'
+  );
+});
+
+test('a period after the variable of a quantifier is rejected', () => {
+  expect(() => makeSentence('forall x. P(x) -> Q(x)')).toThrow(
+    expect.objectContaining({ start: 8, end: 9 })
+  );
+});
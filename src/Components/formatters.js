@@ -0,0 +1,277 @@
+import {
+  andNode,
+  boxNode,
+  diamondNode,
+  falseNode,
+  iffNode,
+  impliesNode,
+  nandNode,
+  negateNode,
+  norNode,
+  orNode,
+  predicateNode,
+  priorityOf,
+  quantifierNode,
+  trueNode,
+  variableNode,
+  xorNode,
+} from './parser';
+
+/* Renderings of an AST in the notations the tables can be shown in.
+ *
+ * Each infix notation is a table of the symbols it uses for every connective;
+ * binary connectives carry their own spacing. The 'html' notation is the one
+ * toString produces. Polish notation is prefix and needs no parentheses, so it
+ * is handled on its own.
+ *
+ * Quantifiers are written before their variable, and 'bound' separates the
+ * variable from the formula it quantifies.
+ */
+export const notations = {
+  html: {
+    not: '&not;',
+    and: ' &and; ',
+    or: ' &or; ',
+    implies: ' &rarr; ',
+    iff: ' &harr; ',
+    xor: ' &oplus; ',
+    nand: ' &uarr; ',
+    nor: ' &darr; ',
+    top: '&#8868;',
+    bot: '&#8869;',
+    forall: '&forall;',
+    exists: '&exist;',
+    bound: ' ',
+    box: '&#9633;',
+    diamond: '&#9671;',
+  },
+  unicode: {
+    not: '¬',
+    and: ' ∧ ',
+    or: ' ∨ ',
+    implies: ' → ',
+    iff: ' ↔ ',
+    xor: ' ⊕ ',
+    nand: ' ↑ ',
+    nor: ' ↓ ',
+    top: '⊤',
+    bot: '⊥',
+    forall: '∀',
+    exists: '∃',
+    bound: ' ',
+    box: '□',
+    diamond: '◇',
+  },
+  ascii: {
+    not: '~',
+    and: ' /\\ ',
+    or: ' \\/ ',
+    implies: ' -> ',
+    iff: ' <-> ',
+    xor: ' xor ',
+    nand: ' nand ',
+    nor: ' nor ',
+    top: 'T',
+    bot: 'F',
+    forall: 'forall ',
+    exists: 'exists ',
+    bound: ' ',
+    box: '[]',
+    diamond: '<>',
+  },
+  latex: {
+    not: '\\lnot ',
+    and: ' \\land ',
+    or: ' \\lor ',
+    implies: ' \\rightarrow ',
+    iff: ' \\leftrightarrow ',
+    xor: ' \\oplus ',
+    nand: ' \\uparrow ',
+    nor: ' \\downarrow ',
+    top: '\\top',
+    bot: '\\bot',
+    forall: '\\forall ',
+    exists: '\\exists ',
+    bound: '\\, ',
+    box: '\\Box ',
+    diamond: '\\Diamond ',
+  },
+  /* Łukasiewicz's letters, with Prior's V and O for the constants and his Π
+   * and Σ for the quantifiers, and his L and M for the modal operators.
+   */
+  polish: {
+    not: 'N',
+    and: 'K',
+    or: 'A',
+    implies: 'C',
+    iff: 'E',
+    xor: 'J',
+    nand: 'D',
+    nor: 'X',
+    top: 'V',
+    bot: 'O',
+    forall: 'Π',
+    exists: 'Σ',
+    box: 'L',
+    diamond: 'M',
+  },
+};
+
+/* The names shown for each notation in the selector. */
+export const notationNames = [
+  ['html', 'Símbolos'],
+  ['unicode', 'Unicode'],
+  ['ascii', 'ASCII'],
+  ['latex', 'LaTeX'],
+  ['polish', 'Notación polaca'],
+];
+
+/* The notation used when none is chosen: toString's, fully parenthesized. */
+export const defaultNotation = { name: 'html', minimal: false };
+
+/* The token types priorityOf knows the binary connectives by. */
+const tokenTypes = {
+  and: '/\\',
+  or: '\\/',
+  implies: '->',
+  iff: '<->',
+  xor: 'xor',
+  nand: 'nand',
+  nor: 'nor',
+};
+
+/* Function: connectiveOf
+ *
+ * Returns the name of the connective at the root of the AST, as used in the
+ * notation tables, or null for variables. Quantifiers are 'forall' and
+ * 'exists', predicates applied to their terms are 'atom', and the modal
+ * operators are 'box' and 'diamond'.
+ */
+export function connectiveOf(node) {
+  if (node instanceof negateNode) return 'not';
+  if (node instanceof boxNode) return 'box';
+  if (node instanceof diamondNode) return 'diamond';
+  if (node instanceof andNode) return 'and';
+  if (node instanceof orNode) return 'or';
+  if (node instanceof impliesNode) return 'implies';
+  if (node instanceof iffNode) return 'iff';
+  if (node instanceof xorNode) return 'xor';
+  if (node instanceof nandNode) return 'nand';
+  if (node instanceof norNode) return 'nor';
+  if (node instanceof trueNode) return 'top';
+  if (node instanceof falseNode) return 'bot';
+  if (node instanceof variableNode) return null;
+  if (node instanceof quantifierNode) return node.quantifier;
+  if (node instanceof predicateNode) return 'atom';
+  throw new Error('Unknown node type in formatter.');
+}
+
+/* Function: formatNode
+ *
+ * Renders the AST in the given notation. By default every binary connective
+ * is parenthesized the way toString does it; with minimal set, parentheses
+ * are only added where the parser would otherwise read the formula another
+ * way.
+ */
+export function formatNode(
+  node,
+  variables,
+  notation = 'unicode',
+  minimal = false
+) {
+  if (notation === 'polish') {
+    return formatPolish(node, variables);
+  }
+  return formatInfix(node, variables, notations[notation], minimal);
+}
+
+/* Function: formatInfix
+ *
+ * Renders an infix notation. The parser groups operators of equal priority to
+ * the right, so in minimal mode a binary operand needs parentheses when it
+ * binds more loosely than its parent, or equally loosely on the left-hand side.
+ * Negation, the modal operators and the quantifiers bind tightest of all, so
+ * they need them around any binary operand.
+ */
+function formatInfix(node, variables, symbols, minimal) {
+  let connective = connectiveOf(node);
+
+  if (connective === null) return variables[node.index];
+  if (connective === 'top' || connective === 'bot') return symbols[connective];
+  if (connective === 'atom')
+    return node.name + '(' + node.args.join(', ') + ')';
+  if (node.hasOwnProperty('underlying')) {
+    let underlying = formatInfix(node.underlying, variables, symbols, minimal);
+    if (minimal && priorityOfNode(node.underlying) !== Infinity) {
+      underlying = '(' + underlying + ')';
+    }
+    return symbols[connective] + underlying;
+  }
+  if (connective === 'forall' || connective === 'exists') {
+    let body = formatInfix(node.body, variables, symbols, minimal);
+    if (minimal && priorityOfNode(node.body) !== Infinity) {
+      body = '(' + body + ')';
+    }
+    return symbols[connective] + node.variable + symbols.bound + body;
+  }
+
+  let lhs = formatInfix(node.lhs, variables, symbols, minimal);
+  let rhs = formatInfix(node.rhs, variables, symbols, minimal);
+  if (!minimal) {
+    return '(' + lhs + symbols[connective] + rhs + ')';
+  }
+
+  let priority = priorityOfNode(node);
+  if (priorityOfNode(node.lhs) <= priority) lhs = '(' + lhs + ')';
+  if (priorityOfNode(node.rhs) < priority) rhs = '(' + rhs + ')';
+  return lhs + symbols[connective] + rhs;
+}
+
+/* Returns the priority of the connective at the root of the AST. Anything that
+ * is not a binary connective binds tighter than all of them.
+ */
+function priorityOfNode(node) {
+  let type = tokenTypes[connectiveOf(node)];
+  return type === undefined ? Infinity : priorityOf({ type: type });
+}
+
+/* Function: formatPolish
+ *
+ * Renders the AST in prefix (Polish) notation. Symbols are written together
+ * as long as every variable and term is a single lowercase letter and every
+ * predicate a single uppercase one that is not also a connective, and
+ * separated by spaces otherwise so the names can be told apart.
+ */
+function formatPolish(node, variables) {
+  let symbols = notations.polish;
+  let tokens = [];
+  let compact = true;
+  let name = (text, pattern) => {
+    compact = compact && pattern.test(text);
+    tokens.push(text);
+  };
+  let visit = (n) => {
+    let connective = connectiveOf(n);
+    if (connective === null) {
+      name(variables[n.index], /^[a-z]$/);
+    } else if (connective === 'atom') {
+      name(n.name, /^[A-Z]$/);
+      compact = compact && !Object.values(symbols).includes(n.name);
+      n.args.forEach((arg) => name(arg, /^[a-z]$/));
+    } else {
+      tokens.push(symbols[connective]);
+      if (n.hasOwnProperty('underlying')) visit(n.underlying);
+      if (connective === 'forall' || connective === 'exists') {
+        name(n.variable, /^[a-z]$/);
+        visit(n.body);
+      }
+      if (n.hasOwnProperty('lhs')) {
+        visit(n.lhs);
+        visit(n.rhs);
+      }
+    }
+  };
+  visit(node);
+
+  return tokens.join(compact ? '' : ' ');
+}
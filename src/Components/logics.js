@@ -0,0 +1,128 @@
+/* The logic systems the tables can be evaluated in.
+ *
+ * Classical logic keeps using evaluate and booleans. The three-valued logics
+ * use evaluateIn with the values 1, ½ and 0, and give the truth functions of
+ * every connective. A logic also says which values are designated, that is,
+ * count as true when classifying sentences, and how its values are shown.
+ */
+
+/* Strong Kleene connectives, shared by K3 and LP. */
+const kleene = {
+  top: 1,
+  bottom: 0,
+  not: (a) => 1 - a,
+  and: (a, b) => Math.min(a, b),
+  or: (a, b) => Math.max(a, b),
+  implies: (a, b) => Math.max(1 - a, b),
+  iff: (a, b) => Math.min(Math.max(1 - a, b), Math.max(1 - b, a)),
+  xor: (a, b) => 1 - Math.min(Math.max(1 - a, b), Math.max(1 - b, a)),
+  nand: (a, b) => 1 - Math.min(a, b),
+  nor: (a, b) => 1 - Math.max(a, b),
+};
+
+/* Łukasiewicz differs from Kleene in the conditional, and so the
+ * biconditional: ½ → ½ is 1.
+ */
+const lukasiewicz = {
+  ...kleene,
+  implies: (a, b) => Math.min(1, 1 - a + b),
+  iff: (a, b) => 1 - Math.abs(a - b),
+  xor: (a, b) => Math.abs(a - b),
+};
+
+const kMiddleColor = '#5B4E9C';
+
+export const classical = {
+  name: 'classical',
+  label: 'Clásica',
+  values: [true, false],
+  designated: [true],
+  labels: ['T', 'F'],
+  colors: ['#20615B', '#A21232'],
+};
+
+export const logics = [
+  classical,
+  {
+    ...kleene,
+    name: 'K3',
+    label: 'Kleene fuerte (K3)',
+    values: [1, 0.5, 0],
+    designated: [1],
+    labels: ['T', 'U', 'F'],
+    colors: ['#20615B', kMiddleColor, '#A21232'],
+  },
+  {
+    ...lukasiewicz,
+    name: 'L3',
+    label: 'Łukasiewicz (Ł3)',
+    values: [1, 0.5, 0],
+    designated: [1],
+    labels: ['1', '½', '0'],
+    colors: ['#20615B', kMiddleColor, '#A21232'],
+  },
+  {
+    ...kleene,
+    name: 'LP',
+    label: 'Priest (LP)',
+    values: [1, 0.5, 0],
+    designated: [1, 0.5],
+    labels: ['T', 'U', 'F'],
+    colors: ['#20615B', kMiddleColor, '#A21232'],
+  },
+];
+
+/* Function: evaluateNode
+ *
+ * Evaluates the AST on the assignment in the given logic.
+ */
+export function evaluateNode(node, assignment, logic = classical) {
+  if (logic === classical) return node.evaluate(assignment);
+  return node.evaluateIn(assignment, logic);
+}
+
+/* Function: valueLabel
+ *
+ * Returns the text a value is shown as in the given logic.
+ */
+export function valueLabel(logic, value) {
+  return logic.labels[logic.values.indexOf(value)];
+}
+
+/* The ways the tables can write the values, as [name, label, top, bottom].
+ * The first keeps each logic's own labels; the others replace the labels of
+ * the top and bottom values and leave the middle value of the three-valued
+ * logics alone.
+ */
+export const valueDisplays = [
+  ['logic', 'Según la lógica', null, null],
+  ['TF', 'T / F', 'T', 'F'],
+  ['VF', 'V / F', 'V', 'F'],
+  ['10', '1 / 0', '1', '0'],
+];
+
+/* Function: relabel
+ *
+ * Returns the logic with its values labelled as the named display says. The
+ * result is only meant for showing values: evaluateNode tells classical logic
+ * apart by identity, so evaluate in the original logic.
+ */
+export function relabel(logic, display) {
+  let [, , top, bottom] = valueDisplays.find(([name]) => name === display);
+  if (top === null) return logic;
+  let last = logic.labels.length - 1;
+  return {
+    ...logic,
+    labels: logic.labels.map((label, i) =>
+      i === 0 ? top : i === last ? bottom : label
+    ),
+  };
+}
+
+/* Function: valueColor
+ *
+ * Returns the color of the table cells holding the value.
+ */
+export function valueColor(logic, value) {
+  return logic.colors[logic.values.indexOf(value)];
+}
@@ -0,0 +1,53 @@
+import { classical, evaluateNode, logics, relabel, valueLabel } from './logics';
+import { makeSentence } from './sentences';
+
+function logic(name) {
+  return logics.find((l) => l.name === name);
+}
+
+/* The value of a one-variable sentence when its variable is ½. */
+function atHalf(text, name) {
+  return evaluateNode(makeSentence(text).node, [0.5], logic(name));
+}
+
+test('the three-valued logics agree with classical logic on 1 and 0', () => {
+  let texts = ['p /\\ q', 'p \\/ q', 'p -> q', 'p <-> q', 'p xor q', '~p'];
+  for (let name of ['K3', 'L3', 'LP']) {
+    for (let text of texts) {
+      let sentence = makeSentence(text);
+      for (let a of [true, false]) {
+        for (let b of [true, false]) {
+          let row = [a, b].slice(0, sentence.vars.length);
+          let value = evaluateNode(
+            sentence.node,
+            row.map((x) => (x ? 1 : 0)),
+            logic(name)
+          );
+          expect(value).toBe(sentence.node.evaluate(row) ? 1 : 0);
+        }
+      }
+    }
+  }
+});
+
+test('K3 and Ł3 differ on the conditional', () => {
+  expect(atHalf('p -> p', 'K3')).toBe(0.5);
+  expect(atHalf('p -> p', 'L3')).toBe(1);
+  expect(atHalf('p <-> p', 'K3')).toBe(0.5);
+  expect(atHalf('p <-> p', 'L3')).toBe(1);
+  expect(atHalf('p \\/ ~p', 'K3')).toBe(0.5);
+});
+
+test('LP designates ½ as well', () => {
+  let lp = logic('LP');
+  expect(lp.designated).toContain(atHalf('p /\\ ~p', 'LP'));
+  expect(logic('K3').designated).not.toContain(atHalf('p /\\ ~p', 'K3'));
+});
+
+test('relabel only changes the labels of the top and bottom values', () => {
+  let k3 = relabel(logic('K3'), '10');
+  expect(k3.values).toEqual(logic('K3').values);
+  expect([1, 0.5, 0].map((v) => valueLabel(k3, v))).toEqual(['1', 'U', '0']);
+  expect(relabel(classical, 'logic')).toBe(classical);
+  expect(valueLabel(relabel(classical, 'VF'), false)).toBe('F');
+});
@@ -0,0 +1,277 @@
+/* Two-level minimization with the Quine–McCluskey method.
+ *
+ * A function of n variables is given by its minterms: the row numbers on
+ * which it is true. Variable j of the sentence is bit (n - 1 - j) of the
+ * row number, and a set bit means the variable is true, so for p, q, r the
+ * minterm 6 = 110 is p /\ q /\ ~r.
+ *
+ * An implicant is an object { value, mask }. Bits set in mask are the
+ * variables that were eliminated; the remaining bits of value say which
+ * literal of each variable appears in the term.
+ */
+
+/* Beyond this many variables the tables get too big for QMC to be useful. */
+export const kMaxMinimizeVars = 10;
+
+/* Upper bound on the branch-and-bound search for a minimal cover; if it is
+ * exhausted we keep the best cover found so far.
+ */
+const kMaxCoverNodes = 20000;
+
+/* Function: mintermsOf
+ *
+ * Evaluates the AST on every row and returns the numbers of the true rows.
+ */
+export function mintermsOf(node, n) {
+  let minterms = [];
+  for (let i = 0; i < Math.pow(2, n); i++) {
+    if (node.evaluate(rowAssignment(i, n))) {
+      minterms.push(i);
+    }
+  }
+  return minterms;
+}
+
+/* Function: rowAssignment
+ *
+ * Turns a row number into the array of booleans the AST evaluates on.
+ */
+export function rowAssignment(row, n) {
+  let assignment = [];
+  for (let j = 0; j < n; j++) {
+    assignment.push(((row >> (n - 1 - j)) & 1) === 1);
+  }
+  return assignment;
+}
+
+function bitCount(x) {
+  let count = 0;
+  while (x > 0) {
+    count += x & 1;
+    x >>= 1;
+  }
+  return count;
+}
+
+/* Function: primeImplicants
+ *
+ * Repeatedly merges implicants that differ in exactly one variable until no
+ * more merges are possible. Whatever never got merged is prime.
+ *
+ * Two implicants can only merge if they have the same mask and their values
+ * have one set bit more or less, so each round groups them by mask and by
+ * the number of set bits and only compares neighbouring groups.
+ */
+export function primeImplicants(n, minterms) {
+  let current = minterms.map((m) => ({ value: m, mask: 0 }));
+  let primes = [];
+
+  while (current.length > 0) {
+    let groups = new Map();
+    for (let imp of current) {
+      let key = imp.mask + ',' + bitCount(imp.value);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(imp);
+    }
+
+    let merged = new Set();
+    let next = new Map();
+    for (let x of current) {
+      let above = groups.get(x.mask + ',' + (bitCount(x.value) + 1)) || [];
+      for (let y of above) {
+        let diff = x.value ^ y.value;
+        if (bitCount(diff) !== 1) continue;
+
+        merged.add(x);
+        merged.add(y);
+        let imp = { value: x.value & ~diff, mask: x.mask | diff };
+        next.set(imp.value + ',' + imp.mask, imp);
+      }
+    }
+
+    for (let imp of current) {
+      if (!merged.has(imp)) {
+        primes.push(imp);
+      }
+    }
+    current = Array.from(next.values());
+  }
+
+  return primes;
+}
+
+/* Function: covers
+ *
+ * Returns whether the implicant covers the given minterm.
+ */
+export function covers(implicant, minterm) {
+  return (minterm & ~implicant.mask) === implicant.value;
+}
+
+/* Function: literalCount
+ *
+ * Returns the number of literals in the term for the implicant.
+ */
+export function literalCount(implicant, n) {
+  return n - bitCount(implicant.mask);
+}
+
+/* Function: minimalCover
+ *
+ * Picks a smallest set of prime implicants covering all the minterms, breaking
+ * ties by the total number of literals. Essential primes are taken first and
+ * the rest is an exact branch-and-bound search.
+ */
+export function minimalCover(n, primes, minterms) {
+  let chosen = [];
+  let uncovered = new Set(minterms);
+
+  /* Essential prime implicants: the only prime covering some minterm. */
+  for (let m of minterms) {
+    let covering = primes.filter((p) => covers(p, m));
+    if (covering.length === 1 && !chosen.includes(covering[0])) {
+      chosen.push(covering[0]);
+    }
+  }
+  for (let p of chosen) {
+    for (let m of minterms) {
+      if (covers(p, m)) uncovered.delete(m);
+    }
+  }
+
+  let best = null;
+  let budget = kMaxCoverNodes;
+  let cost = (set) =>
+    set.length * (n + 1) + set.reduce((sum, p) => sum + literalCount(p, n), 0);
+
+  function search(picked, left) {
+    if (budget-- <= 0 && best !== null) return;
+    if (best !== null && cost(picked) >= cost(best)) return;
+    if (left.size === 0) {
+      best = picked;
+      return;
+    }
+
+    /* Branch on the minterm with the fewest options. */
+    let options = null;
+    for (let m of left) {
+      let covering = primes.filter((p) => covers(p, m));
+      if (options === null || covering.length < options.length) {
+        options = covering;
+      }
+    }
+    options.sort((a, b) => literalCount(a, n) - literalCount(b, n));
+    for (let p of options) {
+      let rest = new Set(left);
+      for (let m of left) {
+        if (covers(p, m)) rest.delete(m);
+      }
+      search(picked.concat([p]), rest);
+    }
+  }
+
+  search([], uncovered);
+  return chosen.concat(best);
+}
+
+/* Function: minimizeSOP
+ *
+ * Returns the implicants of a minimal sum of products for the minterms.
+ */
+export function minimizeSOP(n, minterms) {
+  return minimalCover(n, primeImplicants(n, minterms), minterms);
+}
+
+/* Function: minimizePOS
+ *
+ * Returns the implicants of a minimal sum of products for the complement of
+ * the function. Each of them is one clause of a minimal product of sums.
+ */
+export function minimizePOS(n, minterms) {
+  let ones = new Set(minterms);
+  let maxterms = [];
+  for (let i = 0; i < Math.pow(2, n); i++) {
+    if (!ones.has(i)) maxterms.push(i);
+  }
+  return minimizeSOP(n, maxterms);
+}
+
+/* Function: literalsOf
+ *
+ * Returns the literals of an implicant as a list of { index, positive }.
+ */
+export function literalsOf(implicant, n) {
+  let literals = [];
+  for (let j = 0; j < n; j++) {
+    let bit = 1 << (n - 1 - j);
+    if (implicant.mask & bit) continue;
+    literals.push({ index: j, positive: (implicant.value & bit) !== 0 });
+  }
+  return literals;
+}
+
+/* Function: sopToText
+ *
+ * Writes a sum of products as input the parser accepts.
+ */
+export function sopToText(implicants, variables) {
+  let n = variables.length;
+  if (implicants.length === 0) return 'F';
+  let terms = implicants.map((imp) => {
+    let literals = literalsOf(imp, n).map(
+      (l) => (l.positive ? '' : '~') + variables[l.index]
+    );
+    if (literals.length === 0) return 'T';
+    let term = literals.join(' /\\ ');
+    return literals.length > 1 && implicants.length > 1
+      ? '(' + term + ')'
+      : term;
+  });
+  return terms.join(' \\/ ');
+}
+
+/* Function: posToText
+ *
+ * Writes a product of sums as input the parser accepts. The implicants are
+ * those of the complement, so every literal is negated on the way out.
+ */
+export function posToText(implicants, variables) {
+  let n = variables.length;
+  if (implicants.length === 0) return 'T';
+  let clauses = implicants.map((imp) => {
+    let literals = literalsOf(imp, n).map(
+      (l) => (l.positive ? '~' : '') + variables[l.index]
+    );
+    if (literals.length === 0) return 'F';
+    let clause = literals.join(' \\/ ');
+    return literals.length > 1 && implicants.length > 1
+      ? '(' + clause + ')'
+      : clause;
+  });
+  return clauses.join(' /\\ ');
+}
+
+/* Function: canonicalDNF
+ *
+ * Writes the canonical disjunctive normal form of the function: one full term
+ * per minterm.
+ */
+export function canonicalDNF(minterms, variables) {
+  return sopToText(
+    minterms.map((m) => ({ value: m, mask: 0 })),
+    variables
+  );
+}
+
+/* Function: canonicalCNF
+ *
+ * Writes the canonical conjunctive normal form of the function: one full
+ * clause per row on which it is false.
+ */
+export function canonicalCNF(minterms, variables) {
+  let maxterms = [];
+  for (let i = 0; i < Math.pow(2, variables.length); i++) {
+    if (!minterms.includes(i)) maxterms.push({ value: i, mask: 0 });
+  }
+  return posToText(maxterms, variables);
+}
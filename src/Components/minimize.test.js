@@ -0,0 +1,141 @@
+import {
+  covers,
+  literalCount,
+  minimalCover,
+  minimizePOS,
+  minimizeSOP,
+  mintermsOf,
+  posToText,
+  primeImplicants,
+  sopToText,
+} from './minimize';
+import { makeSentence } from './sentences';
+
+/* A small deterministic generator, so that failures can be reproduced. */
+function random(seed) {
+  return () => {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    return seed / 4294967296;
+  };
+}
+
+function randomMinterms(rand, n) {
+  let minterms = [];
+  for (let m = 0; m < 1 << n; m++) {
+    if (rand() < 0.5) minterms.push(m);
+  }
+  return minterms;
+}
+
+/* Lists the rows a term covers. */
+function rowsOf(implicant, n) {
+  let rows = [];
+  for (let m = 0; m < 1 << n; m++) {
+    if (covers(implicant, m)) rows.push(m);
+  }
+  return rows;
+}
+
+/* Whether the term can lose one more literal and still only cover true rows,
+ * in which case it is not prime.
+ */
+function canGrow(implicant, n, minterms) {
+  for (let bit = 0; bit < n; bit++) {
+    if (implicant.mask & (1 << bit)) continue;
+    let bigger = {
+      value: implicant.value & ~(1 << bit),
+      mask: implicant.mask | (1 << bit),
+    };
+    if (rowsOf(bigger, n).every((m) => minterms.includes(m))) return true;
+  }
+  return false;
+}
+
+test('primeImplicants finds exactly the prime implicants of the table', () => {
+  let rand = random(1);
+  for (let t = 0; t < 100; t++) {
+    let n = 1 + Math.floor(rand() * 5);
+    let minterms = randomMinterms(rand, n);
+    let primes = primeImplicants(n, minterms);
+
+    for (let p of primes) {
+      expect(rowsOf(p, n).every((m) => minterms.includes(m))).toBe(true);
+      expect(canGrow(p, n, minterms)).toBe(false);
+    }
+    for (let m of minterms) {
+      expect(primes.some((p) => covers(p, m))).toBe(true);
+    }
+
+    /* Every term of the table that cannot grow must have been found. */
+    let count = 0;
+    for (let mask = 0; mask < 1 << n; mask++) {
+      for (let value = 0; value < 1 << n; value++) {
+        if (value & mask) continue;
+        let implicant = { value: value, mask: mask };
+        let rows = rowsOf(implicant, n);
+        if (
+          rows.every((m) => minterms.includes(m)) &&
+          !canGrow(implicant, n, minterms)
+        ) {
+          count++;
+        }
+      }
+    }
+    expect(primes.length).toBe(count);
+  }
+});
+
+test('minimalCover covers the table with as few terms as possible', () => {
+  let rand = random(2);
+  for (let t = 0; t < 100; t++) {
+    let n = 1 + Math.floor(rand() * 4);
+    let minterms = randomMinterms(rand, n);
+    let primes = primeImplicants(n, minterms);
+    let cover = minimalCover(n, primes, minterms);
+
+    for (let m of minterms) {
+      expect(cover.some((p) => covers(p, m))).toBe(true);
+    }
+
+    /* No smaller set of primes covers every minterm. */
+    for (let subset = 0; subset < 1 << primes.length; subset++) {
+      let chosen = primes.filter((p, i) => subset & (1 << i));
+      if (chosen.length >= cover.length) continue;
+      let all = minterms.every((m) => chosen.some((p) => covers(p, m)));
+      expect(all).toBe(false);
+    }
+  }
+});
+
+test('the minimal forms are equivalent to the sentence', () => {
+  let rand = random(3);
+  let vars = ['p', 'q', 'r', 's'];
+  for (let t = 0; t < 50; t++) {
+    let n = 1 + Math.floor(rand() * 4);
+    let minterms = randomMinterms(rand, n);
+    let names = vars.slice(0, n);
+    let forms = [
+      sopToText(minimizeSOP(n, minterms), names),
+      posToText(minimizePOS(n, minterms), names),
+    ];
+    for (let text of forms) {
+      let sentence = makeSentence(text);
+      let index = sentence.vars.map((v) => names.indexOf(v));
+      for (let m = 0; m < 1 << n; m++) {
+        let row = names.map((v, j) => ((m >> (n - 1 - j)) & 1) === 1);
+        expect(sentence.node.evaluate(index.map((j) => row[j]))).toBe(
+          minterms.includes(m)
+        );
+      }
+    }
+  }
+});
+
+test('minimizeSOP finds the textbook result', () => {
+  let sentence = makeSentence('(p /\\ q) \\/ (p /\\ ~q) \\/ (~p /\\ q)');
+  let minterms = mintermsOf(sentence.node, 2);
+  expect(minterms).toEqual([1, 2, 3]);
+  let sop = minimizeSOP(2, minterms);
+  expect(sop.length).toBe(2);
+  expect(sop.every((p) => literalCount(p, 2) === 1)).toBe(true);
+});
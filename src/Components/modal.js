@@ -0,0 +1,243 @@
+import { connectiveOf } from './formatters';
+import { truthFunctions } from './fol';
+
+/* Kripke models for the modal operators.
+ *
+ * Like the first-order models in fol.js, a Kripke model is a plain object:
+ *
+ *   size:      The number of worlds. They are 0 to size - 1 here and shown as
+ *              w1 to wn.
+ *   relation:  The accessibility relation, as the pairs "0,1" of worlds such
+ *              that the second is accessible from the first.
+ *   valuation: The worlds at which each variable is true, by name.
+ *
+ * []A is true at a world when A is true at every world accessible from it,
+ * and <>A when A is true at some world accessible from it.
+ */
+
+/* The largest number of worlds the model editor offers. */
+export const kMaxEditorWorlds = 5;
+
+/* The largest frames the validity check tries. */
+export const kMaxFrameWorlds = 3;
+
+/* The validity check stops at frame sizes with more models than this. */
+const kMaxKripkeModels = 1 << 17;
+
+/* Function: emptyKripkeModel
+ *
+ * Returns a model with the given number of worlds, none of them accessible
+ * from any other, at which every variable is false.
+ */
+export function emptyKripkeModel(size = 2) {
+  return { size: size, relation: [], valuation: {} };
+}
+
+/* Function: resizeKripkeModel
+ *
+ * Changes the number of worlds, forgetting about those that no longer exist.
+ */
+export function resizeKripkeModel(model, size) {
+  let valuation = {};
+  for (let name in model.valuation) {
+    valuation[name] = model.valuation[name].filter((w) => w < size);
+  }
+  return {
+    ...model,
+    size: size,
+    relation: model.relation.filter((key) =>
+      key.split(',').every((w) => Number(w) < size)
+    ),
+    valuation: valuation,
+  };
+}
+
+/* Function: valuesAt
+ *
+ * Returns the truth value of the sentence at every world of the model.
+ */
+export function valuesAt(sentence, model) {
+  let successors = [];
+  for (let w = 0; w < model.size; w++) {
+    successors.push([]);
+  }
+  for (let key of model.relation) {
+    let [from, to] = key.split(',').map(Number);
+    successors[from].push(to);
+  }
+
+  let values = [];
+  for (let w = 0; w < model.size; w++) {
+    values.push(evaluate(sentence.node, sentence.vars, model, successors, w));
+  }
+  return values;
+}
+
+/* Evaluates the AST at world w, where successors lists the worlds accessible
+ * from each world.
+ */
+function evaluate(node, vars, model, successors, w) {
+  let connective = connectiveOf(node);
+  let at = (n, v) => evaluate(n, vars, model, successors, v);
+
+  if (connective === null) {
+    let worlds = model.valuation[vars[node.index]];
+    return worlds !== undefined && worlds.includes(w);
+  }
+  if (connective === 'box') {
+    return successors[w].every((v) => at(node.underlying, v));
+  }
+  if (connective === 'diamond') {
+    return successors[w].some((v) => at(node.underlying, v));
+  }
+  if (connective === 'not') return !at(node.underlying, w);
+  if (node.hasOwnProperty('lhs')) {
+    return truthFunctions[connective](at(node.lhs, w), at(node.rhs, w));
+  }
+  return truthFunctions[connective]();
+}
+
+/* Properties of the accessibility relation, given as a function related(a,
+ * b) on a frame of the given size.
+ */
+function isReflexive(size, related) {
+  for (let a = 0; a < size; a++) {
+    if (!related(a, a)) return false;
+  }
+  return true;
+}
+
+function isSymmetric(size, related) {
+  for (let a = 0; a < size; a++) {
+    for (let b = 0; b < size; b++) {
+      if (related(a, b) && !related(b, a)) return false;
+    }
+  }
+  return true;
+}
+
+function isTransitive(size, related) {
+  for (let a = 0; a < size; a++) {
+    for (let b = 0; b < size; b++) {
+      for (let c = 0; c < size; c++) {
+        if (related(a, b) && related(b, c) && !related(a, c)) return false;
+      }
+    }
+  }
+  return true;
+}
+
+/* Function: frameProperties
+ *
+ * Returns which of reflexivity, symmetry and transitivity the accessibility
+ * relation of the model has.
+ */
+export function frameProperties(model) {
+  let pairs = new Set(model.relation);
+  let related = (a, b) => pairs.has(a + ',' + b);
+  return {
+    reflexive: isReflexive(model.size, related),
+    symmetric: isSymmetric(model.size, related),
+    transitive: isTransitive(model.size, related),
+  };
+}
+
+/* The classes of frames validity can be checked over, each with the test
+ * its accessibility relations have to pass.
+ */
+export const frameClasses = [
+  { name: 'K', label: 'todos los marcos', test: () => true },
+  { name: 'T', label: 'marcos reflexivos', test: isReflexive },
+  {
+    name: 'S4',
+    label: 'marcos reflexivos y transitivos',
+    test: (size, related) =>
+      isReflexive(size, related) && isTransitive(size, related),
+  },
+  {
+    name: 'S5',
+    label: 'relaciones de equivalencia',
+    test: (size, related) =>
+      isReflexive(size, related) &&
+      isSymmetric(size, related) &&
+      isTransitive(size, related),
+  },
+];
+
+/* Returns the accessibility relations on the given number of worlds that
+ * belong to the frame class, each as a list of pairs.
+ */
+function framesOf(frameClass, size) {
+  let frames = [];
+  for (let bits = 0; bits < Math.pow(2, size * size); bits++) {
+    let related = (a, b) => ((bits >> (a * size + b)) & 1) === 1;
+    if (!frameClass.test(size, related)) continue;
+    let relation = [];
+    for (let a = 0; a < size; a++) {
+      for (let b = 0; b < size; b++) {
+        if (related(a, b)) relation.push(a + ',' + b);
+      }
+    }
+    frames.push(relation);
+  }
+  return frames;
+}
+
+/* Function: checkValidity
+ *
+ * Checks whether the sentence is true at every world of every model on the
+ * frames of the class, trying every frame of 1 to kMaxFrameWorlds worlds and
+ * every valuation on it. The result has these fields:
+ *
+ *   checked:  Whether any frame size could be searched. With too many
+ *             variables even the frames of one world have too many models,
+ *             and then the sentence is neither valid nor invalid.
+ *   valid:    Whether no countermodel was found.
+ *   model:    A countermodel, if there is one.
+ *   world:    A world of the countermodel where the sentence is false.
+ *   searched: The number of worlds of the countermodel or, without one, the
+ *             largest frame size that was searched exhaustively.
+ *
+ * As with searchModel in fol.js, a valid result only covers the frame sizes
+ * that were searched.
+ */
+export function checkValidity(sentence, frameClass) {
+  let vars = sentence.vars;
+  let searched = 0;
+  for (let size = 1; size <= kMaxFrameWorlds; size++) {
+    let frames = framesOf(frameClass, size);
+    let valuations = Math.pow(2, size * vars.length);
+    if (frames.length * valuations > kMaxKripkeModels) break;
+
+    for (let relation of frames) {
+      for (let bits = 0; bits < valuations; bits++) {
+        let valuation = {};
+        vars.forEach((v, i) => {
+          valuation[v] = [];
+          for (let w = 0; w < size; w++) {
+            if ((bits >> (i * size + w)) & 1) valuation[v].push(w);
+          }
+        });
+        let model = { size: size, relation: relation, valuation: valuation };
+        let world = valuesAt(sentence, model).indexOf(false);
+        if (world !== -1) {
+          return {
+            checked: true,
+            valid: false,
+            model: model,
+            world: world,
+            searched: size,
+          };
+        }
+      }
+    }
+    searched = size;
+  }
+  return {
+    checked: searched > 0,
+    valid: searched > 0,
+    model: null,
+    world: null,
+    searched: searched,
+  };
+}
@@ -0,0 +1,75 @@
+import {
+  checkValidity,
+  frameClasses,
+  frameProperties,
+  valuesAt,
+} from './modal';
+import { makeSentence } from './sentences';
+
+function frameClass(name) {
+  return frameClasses.find((c) => c.name === name);
+}
+
+/* Which frame classes the sentence is valid on, according to checkValidity,
+ * checking that every countermodel it gives is one.
+ */
+function validOn(text) {
+  let sentence = makeSentence(text);
+  return frameClasses
+    .filter((c) => {
+      let result = checkValidity(sentence, c);
+      if (!result.valid) {
+        expect(valuesAt(sentence, result.model)[result.world]).toBe(false);
+        let related = (a, b) => result.model.relation.includes(a + ',' + b);
+        expect(c.test(result.model.size, related)).toBe(true);
+      }
+      return result.valid;
+    })
+    .map((c) => c.name);
+}
+
+test('valuesAt evaluates the modal operators at every world', () => {
+  let model = {
+    size: 3,
+    relation: ['0,1', '0,2', '1,1'],
+    valuation: { p: [1] },
+  };
+  expect(valuesAt(makeSentence('<>p'), model)).toEqual([true, true, false]);
+  expect(valuesAt(makeSentence('[]p'), model)).toEqual([false, true, true]);
+  expect(frameProperties(model)).toEqual({
+    reflexive: false,
+    symmetric: false,
+    transitive: true,
+  });
+});
+
+test('checkValidity tells the characteristic axioms apart', () => {
+  expect(validOn('[](p -> q) -> ([]p -> []q)')).toEqual(['K', 'T', 'S4', 'S5']);
+  expect(validOn('[]p -> p')).toEqual(['T', 'S4', 'S5']);
+  expect(validOn('[]p -> [][]p')).toEqual(['S4', 'S5']);
+  expect(validOn('<>p -> []<>p')).toEqual(['S5']);
+  expect(validOn('[]p')).toEqual([]);
+});
+
+test('checkValidity reports how far it searched', () => {
+  let result = checkValidity(makeSentence('[]p -> p'), frameClass('K'));
+  expect(result.searched).toBe(1);
+  expect(result.model.size).toBe(1);
+
+  result = checkValidity(makeSentence('[]p -> p'), frameClass('T'));
+  expect(result.searched).toBe(3);
+});
+
+test('checkValidity says when even one world has too many models', () => {
+  let names = 'abcdefghijklmnopqr'.split('');
+  let sentence = makeSentence('[](' + names.join(' \\/ ') + ')');
+  for (let c of frameClasses) {
+    let result = checkValidity(sentence, c);
+    expect(result.checked).toBe(false);
+    expect(result.valid).toBe(false);
+    expect(result.model).toBeNull();
+  }
+  expect(checkValidity(makeSentence('[]p'), frameClass('K')).checked).toBe(
+    true
+  );
+});
@@ -0,0 +1,209 @@
+import {
+  andNode,
+  falseNode,
+  iffNode,
+  impliesNode,
+  nandNode,
+  negateNode,
+  norNode,
+  orNode,
+  trueNode,
+  xorNode,
+} from './parser';
+
+/* Rewrites a sentence into conjunctive and disjunctive normal form, one rule
+ * application at a time, so every intermediate formula can be shown.
+ *
+ * The rewriting happens in three phases:
+ *
+ *   1. Eliminate every connective other than ~, /\ and \/.
+ *   2. Push negations inward (De Morgan, double negation) until they only
+ *      sit on variables.
+ *   3. Distribute \/ over /\ (for CNF) or /\ over \/ (for DNF).
+ *
+ * Within a phase the outermost, leftmost redex is rewritten first, which is
+ * the order one would follow by hand.
+ */
+
+/* Derivations longer than this are cut off; distribution can blow up
+ * exponentially and nobody is going to grade a thousand-step derivation.
+ */
+export const kMaxSteps = 200;
+
+const eliminationRules = [
+  {
+    name: 'Eliminación de ↔',
+    apply: (n) =>
+      n instanceof iffNode
+        ? new andNode(
+            new impliesNode(n.lhs, n.rhs),
+            new impliesNode(n.rhs, n.lhs)
+          )
+        : null,
+  },
+  {
+    name: 'Eliminación de ⊕',
+    apply: (n) =>
+      n instanceof xorNode
+        ? new andNode(
+            new orNode(n.lhs, n.rhs),
+            new negateNode(new andNode(n.lhs, n.rhs))
+          )
+        : null,
+  },
+  {
+    name: 'Eliminación de ↑',
+    apply: (n) =>
+      n instanceof nandNode ? new negateNode(new andNode(n.lhs, n.rhs)) : null,
+  },
+  {
+    name: 'Eliminación de ↓',
+    apply: (n) =>
+      n instanceof norNode ? new negateNode(new orNode(n.lhs, n.rhs)) : null,
+  },
+  {
+    name: 'Eliminación de →',
+    apply: (n) =>
+      n instanceof impliesNode
+        ? new orNode(new negateNode(n.lhs), n.rhs)
+        : null,
+  },
+];
+
+const negationRules = [
+  {
+    name: 'Doble negación',
+    apply: (n) =>
+      n instanceof negateNode && n.underlying instanceof negateNode
+        ? n.underlying.underlying
+        : null,
+  },
+  {
+    name: 'De Morgan',
+    apply: (n) => {
+      if (!(n instanceof negateNode)) return null;
+      let u = n.underlying;
+      if (u instanceof andNode) {
+        return new orNode(new negateNode(u.lhs), new negateNode(u.rhs));
+      }
+      if (u instanceof orNode) {
+        return new andNode(new negateNode(u.lhs), new negateNode(u.rhs));
+      }
+      return null;
+    },
+  },
+  {
+    name: 'Negación de constante',
+    apply: (n) => {
+      if (!(n instanceof negateNode)) return null;
+      if (n.underlying instanceof trueNode) return new falseNode();
+      if (n.underlying instanceof falseNode) return new trueNode();
+      return null;
+    },
+  },
+];
+
+/* Distributes the connective "outer" over the connective "inner", so for CNF
+ * outer is \/ and inner is /\.
+ */
+function distributionRule(outer, inner) {
+  return {
+    name: 'Distributividad',
+    apply: (n) => {
+      if (!(n instanceof outer)) return null;
+      if (n.rhs instanceof inner) {
+        return new inner(
+          new outer(n.lhs, n.rhs.lhs),
+          new outer(n.lhs, n.rhs.rhs)
+        );
+      }
+      if (n.lhs instanceof inner) {
+        return new inner(
+          new outer(n.lhs.lhs, n.rhs),
+          new outer(n.lhs.rhs, n.rhs)
+        );
+      }
+      return null;
+    },
+  };
+}
+
+/* Function: rewriteOnce
+ *
+ * Applies the first matching rule to the outermost, leftmost node it can. Returns
+ * the rewritten tree and the name of the rule, or null if no rule applies.
+ * The input tree is never modified; untouched subtrees are shared.
+ */
+export function rewriteOnce(node, rules) {
+  for (let rule of rules) {
+    let result = rule.apply(node);
+    if (result !== null) {
+      return { node: result, rule: rule.name };
+    }
+  }
+
+  if (node.hasOwnProperty('underlying')) {
+    let inner = rewriteOnce(node.underlying, rules);
+    if (inner !== null) {
+      return { node: new node.constructor(inner.node), rule: inner.rule };
+    }
+  } else if (node.hasOwnProperty('lhs')) {
+    let lhs = rewriteOnce(node.lhs, rules);
+    if (lhs !== null) {
+      return { node: new node.constructor(lhs.node, node.rhs), rule: lhs.rule };
+    }
+    let rhs = rewriteOnce(node.rhs, rules);
+    if (rhs !== null) {
+      return { node: new node.constructor(node.lhs, rhs.node), rule: rhs.rule };
+    }
+  }
+  return null;
+}
+
+/* Function: derive
+ *
+ * Runs each phase to a fixed point, recording every step. Returns
+ *
+ *   steps:     A list of { rule, node }, starting with the original sentence.
+ *   result:    The final formula.
+ *   truncated: Whether we gave up after kMaxSteps rewrites.
+ */
+function derive(node, phases) {
+  let steps = [{ rule: 'Proposición', node: node }];
+  for (let rules of phases) {
+    while (true) {
+      if (steps.length > kMaxSteps) {
+        return { steps: steps, result: node, truncated: true };
+      }
+      let next = rewriteOnce(node, rules);
+      if (next === null) break;
+      node = next.node;
+      steps.push(next);
+    }
+  }
+  return { steps: steps, result: node, truncated: false };
+}
+
+/* Function: toCNF
+ *
+ * Derives a conjunctive normal form for the given AST.
+ */
+export function toCNF(node) {
+  return derive(node, [
+    eliminationRules,
+    negationRules,
+    [distributionRule(orNode, andNode)],
+  ]);
+}
+
+/* Function: toDNF
+ *
+ * Derives a disjunctive normal form for the given AST.
+ */
+export function toDNF(node) {
+  return derive(node, [
+    eliminationRules,
+    negationRules,
+    [distributionRule(andNode, orNode)],
+  ]);
+}
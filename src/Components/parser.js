@@ -10,12 +10,16 @@
  * Given an input string, parses it to produce an AST and variable map. If
  * successful, the returned object will have these fields:
  *
- *   ast:       The root of the generated AST.
- *   variables: A map from indices to variables.
+ *   ast:        The root of the generated AST.
+ *   variables:  A map from indices to variables.
+ *   predicates: The predicates applied in the input as { name, arity },
+ *               sorted by name.
+ *   firstOrder: Whether the input uses predicates or quantifiers.
+ *   modal:      Whether the input uses the modal operators [] and <>.
  *
  * On failure, this function throws an exception with these fields:
  *
- *   description: What went wrong?
+ *   description: What went wrong? (In Spanish, to match the UI.)
  *   start:       Start index of the syntax error.
  *   end:         End index of the syntax error.
  */
@@ -36,6 +40,10 @@ export function parse(input) {
    * The ~ operator is odd in that it modifies something we haven't seen yet.
    * To handle this, we push it onto the operands stack. Whenever we read
    * an operand, we repeatedly pop off negations until none remain.
+   *
+   * Quantifiers and the modal operators work the same way, so they bind as
+   * tightly as negation: in forall x P(x) -> Q(x) the quantifier only covers
+   * P(x), and forall x (P(x) -> Q(x)) covers both.
    */
   var operators = [];
   var operands = [];
@@ -59,9 +67,9 @@ export function parse(input) {
       if (isOperand(currToken)) {
         addOperand(wrapOperand(currToken), operands, operators);
         needOperand = false;
-      } else if (currToken.type === '(' || currToken.type === '~') {
-        /* If it's a parenthesis or negation, push it on the parenthesis stack. We're
-         * still expecting an operand.
+      } else if (currToken.type === '(' || isPrefixOperator(currToken)) {
+        /* If it's a parenthesis, negation, quantifier or modal operator, push it on
+         * the parenthesis stack. We're still expecting an operand.
          */
         operators.push(currToken);
       } else if (currToken.type === kScannerConstants.EOF) {
@@ -70,13 +78,13 @@ export function parse(input) {
          */
         /* If the operator stack is empty, the input was empty. */
         if (operators.length === 0) {
-          parseError('', 0, 0);
+          parseError('La proposición está vacía.', 0, 0);
         }
 
         /* If the operator stack has an ( on top, there's an unmatched open parenthesis. */
         if (topOf(operators).type === '(') {
           parseError(
-            'This open parenthesis has no matching close parenthesis.',
+            'Este paréntesis de apertura no tiene su paréntesis de cierre.',
             topOf(operators).start,
             topOf(operators).end
           );
@@ -84,14 +92,14 @@ export function parse(input) {
 
         /* Otherwise, it's an operator with no operand. */
         parseError(
-          'This operator is missing an operand.',
+          'A este operador le falta un operando.',
           topOf(operators).start,
           topOf(operators).end
         );
       } else {
         /* Anything else is a parse error. */
         parseError(
-          'We were expecting a variable, constant, or open parenthesis here.',
+          'Se esperaba una variable, una constante o un paréntesis de apertura.',
           currToken.start,
           currToken.end
         );
@@ -155,7 +163,7 @@ export function parse(input) {
           /* If we ran out of operators, we have a mismatched parenthesis. */
           if (operators.length === 0) {
             parseError(
-              "This close parenthesis doesn't match any open parenthesis.",
+              'Este paréntesis de cierre no corresponde a ningún paréntesis de apertura.',
               currToken.start,
               currToken.end
             );
@@ -170,7 +178,21 @@ export function parse(input) {
           /* Otherwise, if the top of the stack is a negation, we have a syntax error. */
           if (currOp.type === '~') {
             parseError(
-              'Nothing is negated by this operator.',
+              'Este operador no niega nada.',
+              currOp.start,
+              currOp.end
+            );
+          }
+          if (currOp.type === 'quantifier') {
+            parseError(
+              'Este cuantificador no cuantifica nada.',
+              currOp.start,
+              currOp.end
+            );
+          }
+          if (currOp.type === 'box' || currOp.type === 'diamond') {
+            parseError(
+              'A este operador le falta un operando.',
               currOp.start,
               currOp.end
             );
@@ -192,7 +214,7 @@ export function parse(input) {
       } else {
         /* Anything else is an error. */
         parseError(
-          'We were expecting a close parenthesis or a binary connective here.',
+          'Se esperaba un paréntesis de cierre o un conectivo binario.',
           currToken.start,
           currToken.end
         );
@@ -229,7 +251,7 @@ export function parse(input) {
     );
 
     parseError(
-      'No matching close parenthesis for this open parenthesis.',
+      'Este paréntesis de apertura no tiene su paréntesis de cierre.',
       mismatchedOp.start,
       mismatchedOp.end
     );
@@ -241,19 +263,27 @@ export function parse(input) {
   return {
     ast: operands.pop(),
     variables: scanResult.variables,
+    predicates: scanResult.predicates,
+    firstOrder: scanResult.firstOrder,
+    modal: scanResult.modal,
   };
 }
 
 /* Function: addOperand
  *
- * Adds a new operand to the operands stack, evaluating any negations that need to be
- * performed first.
+ * Adds a new operand to the operands stack, evaluating any negations,
+ * quantifiers and modal operators that need to be performed first.
  */
 export function addOperand(node, operands, operators) {
-  /* Keep evaluating negate operators until none remain. */
-  while (operators.length > 0 && topOf(operators).type === '~') {
-    operators.pop();
-    node = new negateNode(node);
+  /* Keep evaluating prefix operators until none remain. */
+  while (operators.length > 0 && isPrefixOperator(topOf(operators))) {
+    var prefix = operators.pop();
+    if (prefix.type === '~') node = new negateNode(node);
+    if (prefix.type === 'box') node = new boxNode(node);
+    if (prefix.type === 'diamond') node = new diamondNode(node);
+    if (prefix.type === 'quantifier') {
+      node = new quantifierNode(prefix.quantifier, prefix.variable, node);
+    }
   }
 
   /* At this point, we've negated as much as possible. Add the new AST node
@@ -262,12 +292,32 @@ export function addOperand(node, operands, operators) {
   operands.push(node);
 }
 
+/* Function: isPrefixOperator
+ *
+ * Returns whether the given token applies to the operand that follows it: a
+ * negation, a quantifier or a modal operator.
+ */
+export function isPrefixOperator(token) {
+  return (
+    token.type === '~' ||
+    token.type === 'quantifier' ||
+    token.type === 'box' ||
+    token.type === 'diamond'
+  );
+}
+
 /* Function: isOperand
  *
- * Returns whether the given token is an operand. The operands are T, F, and variables.
+ * Returns whether the given token is an operand. The operands are T, F, variables
+ * and predicates applied to their arguments.
  */
 export function isOperand(token) {
-  return token.type === 'T' || token.type === 'F' || token.type === 'variable';
+  return (
+    token.type === 'T' ||
+    token.type === 'F' ||
+    token.type === 'variable' ||
+    token.type === 'atom'
+  );
 }
 
 /* Function: wrapOperand
@@ -278,6 +328,7 @@ export function wrapOperand(token) {
   if (token.type === 'T') return new trueNode();
   if (token.type === 'F') return new falseNode();
   if (token.type === 'variable') return new variableNode(token.index);
+  if (token.type === 'atom') return new predicateNode(token.name, token.args);
   unreachable('Token ' + token.type + " isn't an operand.");
 }
 
@@ -290,7 +341,10 @@ export function isBinaryOperator(token) {
     token.type === '<->' ||
     token.type === '->' ||
     token.type === '/\\' ||
-    token.type === '\\/'
+    token.type === '\\/' ||
+    token.type === 'xor' ||
+    token.type === 'nand' ||
+    token.type === 'nor'
   );
 }
 
@@ -299,13 +353,17 @@ export function isBinaryOperator(token) {
  * Returns the priority of the given operator. We pretend that EOF is an operator
  * with minimal priority to ensure that when EOF is seen, we pop off all remaining
  * operators.
+ *
+ * From loosest to tightest binding: <->, ->, xor, then \/ and nor, then /\ and
+ * nand. NAND and NOR share the priority of the connective they negate.
  */
 export function priorityOf(token) {
   if (token.type === kScannerConstants.EOF) return -1;
   if (token.type === '<->') return 0;
   if (token.type === '->') return 1;
-  if (token.type === '\\/') return 2;
-  if (token.type === '/\\') return 3;
+  if (token.type === 'xor') return 2;
+  if (token.type === '\\/' || token.type === 'nor') return 3;
+  if (token.type === '/\\' || token.type === 'nand') return 4;
   unreachable('Should never need the priority of ' + token.type);
 }
 
@@ -319,6 +377,9 @@ export function createOperatorNode(lhs, token, rhs) {
   if (token.type === '->') return new impliesNode(lhs, rhs);
   if (token.type === '\\/') return new orNode(lhs, rhs);
   if (token.type === '/\\') return new andNode(lhs, rhs);
+  if (token.type === 'xor') return new xorNode(lhs, rhs);
+  if (token.type === 'nand') return new nandNode(lhs, rhs);
+  if (token.type === 'nor') return new norNode(lhs, rhs);
   unreachable(
     'Should never need to create an operator node from ' + token.type
   );
@@ -350,18 +411,28 @@ export function parseError(why, start, end) {
  *
  * The tokens can be any of these operators:
  *
- *    /\   \/  ->  <->  ~
+ *    /\   \/  ->  <->  ~  xor  nand  nor
  *
  * They can also be the special symbols T and F, parentheses, variables, or a
  * special EOF marker.
+ *
+ * For first-order logic there are also atoms like R(x, y), a predicate applied
+ * to a list of terms, and quantifiers like exists x, which carry the variable
+ * they bind. A term is a bound variable or, if no quantifier binds it, a
+ * constant.
+ *
+ * For modal logic there are the operators [] (necessarily) and <> (possibly).
  */
 
 /* Function: scan(input)
  *
  * Scans the input string and produces an object with two fields:
  *
- *   tokens:    A list of the tokens in the input, in order.
- *   variables: A list of the variables keyed by their index. See below.
+ *   tokens:     A list of the tokens in the input, in order.
+ *   variables:  A list of the variables keyed by their index. See below.
+ *   predicates: A list of the predicates as { name, arity }, sorted by name.
+ *   firstOrder: Whether there were any predicates or quantifiers.
+ *   modal:      Whether there were any modal operators.
  *
  * For simplicity, each variable is replaced by a numeric code based on its
  * alphabetical index. For example, if the variables are p, q, and r, then
@@ -399,8 +470,9 @@ export function scan(input) {
  * the final scan, except that the variables are named rather than numbered.
  * The returned object will have two fields:
  *
- *    tokens:      The tokens in the input.
- *    variableSet: A dictionary of all the tokens named in the input.
+ *    tokens:       The tokens in the input.
+ *    variableSet:  A dictionary of all the tokens named in the input.
+ *    predicateSet: A dictionary from the predicates to their arities.
  */
 export function preliminaryScan(input) {
   /* Append a special $ marker to the end of the input. This will serve as our
@@ -411,6 +483,7 @@ export function preliminaryScan(input) {
   /* Run the scan! */
   var i = 0; // Index into the string
   var variableSet = {}; // Set of variables in use
+  var predicateSet = {}; // Arity of each predicate in use
   var tokens = []; // List of tokens
 
   while (true) {
@@ -422,7 +495,28 @@ export function preliminaryScan(input) {
       return {
         tokens: tokens,
         variableSet: variableSet,
+        predicateSet: predicateSet,
       };
+    } else if (isAtomStart(input, i)) {
+      /* A name followed right away by a parenthesis is a predicate applied to
+       * its arguments, which we read as a single token.
+       */
+      var atom = scanAtom(input, i);
+      if (
+        variableSet.hasOwnProperty(atom.name) ||
+        (predicateSet.hasOwnProperty(atom.name) &&
+          predicateSet[atom.name] !== atom.args.length)
+      ) {
+        scannerFail(
+          atom.name + ' se usa con distinto número de argumentos.',
+          atom.start,
+          atom.end
+        );
+      }
+      predicateSet[atom.name] = atom.args.length;
+      tokens.push(atom);
+
+      i = atom.end;
     } else if (isVariableStart(input, i)) {
       /* If we're reading a variable, pull the whole variable. */
       /* We're going to do variables in a two-step process. First, we're going to
@@ -430,6 +524,13 @@ export function preliminaryScan(input) {
        * them to replace each variable name with its index.
        */
       var variable = scanVariable(input, i, variableSet);
+      if (predicateSet.hasOwnProperty(variable)) {
+        scannerFail(
+          variable + ' se usa con distinto número de argumentos.',
+          i,
+          i + variable.length
+        );
+      }
       tokens.push(makeVariableToken(variable, i, i + variable.length));
 
       /* Skip past the token characters. */
@@ -439,6 +540,14 @@ export function preliminaryScan(input) {
       var token = tryReadOperator(input, i);
       /* token should not be null here. */
 
+      if (translate(token) === 'forall' || translate(token) === 'exists') {
+        /* Quantifiers also read the variable they bind. */
+        var quantifier = scanQuantifier(input, i, token);
+        tokens.push(quantifier);
+        i = quantifier.end;
+        continue;
+      }
+
       tokens.push(makeIdentityToken(token, i));
 
       /* Skip the characters we just read. */
@@ -448,7 +557,7 @@ export function preliminaryScan(input) {
       i++;
     } else {
       scannerFail(
-        'The character ' + input.charAt(i) + " shouldn't be here.",
+        'El carácter ' + input.charAt(i) + ' no debería estar aquí.',
         i,
         i + 1
       );
@@ -473,6 +582,92 @@ export function makeVariableToken(varIndex, start, end) {
   return { type: 'variable', index: varIndex, start: start, end: end };
 }
 
+/* Function: isAtomStart
+ *
+ * Returns whether the input at the given index is the name of a predicate
+ * followed immediately by the open parenthesis of its arguments.
+ */
+export function isAtomStart(input, index) {
+  var name = tryReadVariableName(input, index);
+  return name !== null && input.charAt(index + name.length) === '(';
+}
+
+/* Function: scanAtom
+ *
+ * Reads a predicate and its parenthesized, comma-separated list of terms,
+ * returning the atom token. Unlike the other scan functions this one does check
+ * its input, since the argument list can be malformed.
+ */
+export function scanAtom(input, index) {
+  var name = tryReadVariableName(input, index);
+  var args = [];
+  var i = index + name.length + 1;
+
+  while (true) {
+    while (isWhitespace(input.charAt(i))) i++;
+    var term = tryReadVariableName(input, i);
+    if (term === null) {
+      scannerFail(
+        'Se esperaba un término (una variable o una constante).',
+        i,
+        i + 1
+      );
+    }
+    args.push(term);
+    i += term.length;
+
+    while (isWhitespace(input.charAt(i))) i++;
+    if (input.charAt(i) === ')') break;
+    if (input.charAt(i) !== ',') {
+      scannerFail('Se esperaba una coma o un paréntesis de cierre.', i, i + 1);
+    }
+    i++;
+  }
+
+  return { type: 'atom', name: name, args: args, start: index, end: i + 1 };
+}
+
+/* Function: scanQuantifier
+ *
+ * Given the lexeme of a quantifier at the given index, reads the variable it
+ * binds and returns the quantifier token.
+ *
+ * A period after the variable, as in "forall x. P(x) -> Q(x)", is rejected:
+ * it usually means the quantifier covers everything after it, while here it
+ * only covers what follows it immediately, so the scope has to be written in
+ * parentheses.
+ */
+export function scanQuantifier(input, index, lexeme) {
+  var i = index + lexeme.length;
+  while (isWhitespace(input.charAt(i))) i++;
+
+  /* A name followed by a parenthesis is a predicate, not the variable. */
+  var variable = tryReadVariableName(input, i);
+  if (variable === null || isAtomStart(input, i)) {
+    scannerFail('Falta la variable del cuantificador.', index, i);
+  }
+  i += variable.length;
+
+  var j = i;
+  while (isWhitespace(input.charAt(j))) j++;
+  if (input.charAt(j) === '.') {
+    scannerFail(
+      'El cuantificador no lleva punto: solo abarca lo que le sigue, así que ' +
+        'lo que cuantifica va entre paréntesis, como en forall x (P(x) -> Q(x)).',
+      j,
+      j + 1
+    );
+  }
+
+  return {
+    type: 'quantifier',
+    quantifier: translate(lexeme),
+    variable: variable,
+    start: index,
+    end: i,
+  };
+}
+
 /* Function: isVariableStart
  *
  * Given the input to scan and an offset into that input, determines whether the
@@ -519,8 +714,13 @@ export function isReservedWord(token) {
     token === 'not' ||
     token === 'iff' ||
     token === 'implies' ||
+    token === 'xor' ||
+    token === 'nand' ||
+    token === 'nor' ||
     token === 'true' ||
-    token === 'false'
+    token === 'false' ||
+    token === 'forall' ||
+    token === 'exists'
   );
 }
 
@@ -580,23 +780,40 @@ export function tryReadOperator(input, index) {
     }
   }
 
-  /* Case 3: Seven-character operators like "implies" */
+  /* Case 3: Eight-character operators like \Diamond */
+  if (index < input.length - 7) {
+    var eightChars = input.substring(index, index + 8);
+    if (eightChars === '\\Diamond') {
+      return eightChars;
+    }
+  }
+
+  /* Case 4: Seven-character operators like "implies" */
   if (index < input.length - 6) {
     var sevenChars = input.substring(index, index + 7);
-    if (sevenChars === 'implies') {
+    if (
+      sevenChars === 'implies' ||
+      sevenChars === '\\forall' ||
+      sevenChars === '\\exists'
+    ) {
       return sevenChars;
     }
   }
 
-  /* Case 4: Six-character operators */
+  /* Case 5: Six-character operators */
   if (index < input.length - 5) {
     var sixChars = input.substring(index, index + 6);
-    if (sixChars === '\\wedge') {
+    if (
+      sixChars === '\\wedge' ||
+      sixChars === '\\oplus' ||
+      sixChars === 'forall' ||
+      sixChars === 'exists'
+    ) {
       return sixChars;
     }
   }
 
-  /* Case 5: Five-character operators like "false" */
+  /* Case 6: Five-character operators like "false" */
   if (index < input.length - 4) {
     var fiveChars = input.substring(index, index + 5);
     if (
@@ -609,22 +826,24 @@ export function tryReadOperator(input, index) {
     }
   }
 
-  /* Case 6: Four-character operators like "true" */
+  /* Case 7: Four-character operators like "true" */
   if (index < input.length - 3) {
     var fourChars = input.substring(index, index + 4);
     if (
       fourChars === 'true' ||
+      fourChars === 'nand' ||
       fourChars === '\\top' ||
       fourChars === '\\bot' ||
       fourChars === '\\lor' ||
       fourChars === '\\vee' ||
-      fourChars === '\\neg'
+      fourChars === '\\neg' ||
+      fourChars === '\\Box'
     ) {
       return fourChars;
     }
   }
 
-  /* Case 7: Three-char operators like <-> */
+  /* Case 8: Three-char operators like <-> */
   if (index < input.length - 2) {
     var threeChars = input.substring(index, index + 3);
     if (
@@ -633,31 +852,38 @@ export function tryReadOperator(input, index) {
       threeChars === '<=>' ||
       threeChars === 'not' ||
       threeChars === 'iff' ||
+      threeChars === 'xor' ||
+      threeChars === 'nor' ||
       threeChars === '\\to'
     ) {
       return threeChars;
     }
   }
 
-  /* Case 8: Two-char operator like ->, /\, \/ */
+  /* Case 9: Two-char operator like ->, /\, \/. Note that ^^ has to be read
+   * here, before the single ^ (which means /\) gets a chance to match.
+   */
   if (index < input.length - 1) {
     var twoChars = input.substring(index, index + 2);
     if (
+      twoChars === '^^' ||
       twoChars === '/\\' ||
       twoChars === '\\/' ||
       twoChars === '->' ||
       twoChars === '&&' ||
       twoChars === '||' ||
       twoChars === 'or' ||
-      twoChars === '=>'
+      twoChars === '=>' ||
+      twoChars === '[]' ||
+      twoChars === '<>'
     ) {
       return twoChars;
     }
   }
 
-  /* Case 9: Single-char operator like (, ), ~, T, F. */
+  /* Case 10: Single-char operator like (, ), ~, T, F. */
   if (
-    /[()~TF^!\u2227\u2228\u2192\u2194\u22A4\u22A5\u00AC]/.test(
+    /[()~TF^!\u2227\u2228\u2192\u2194\u22A4\u22A5\u00AC\u2295\u2191\u2193\u2200\u2203\u25A1\u25C7]/.test(
       input.charAt(index)
     )
   ) {
@@ -708,6 +934,15 @@ export function translate(input) {
     input === '\\Leftrightarrow'
   )
     return '<->';
+  if (
+    input === 'xor' ||
+    input === '^^' ||
+    input === '\u2295' ||
+    input === '\\oplus'
+  )
+    return 'xor';
+  if (input === 'nand' || input === '\u2191') return 'nand';
+  if (input === 'nor' || input === '\u2193') return 'nor';
   if (
     input === 'not' ||
     input === '!' ||
@@ -716,6 +951,13 @@ export function translate(input) {
     input === '\\neg'
   )
     return '~';
+  if (input === '[]' || input === '\u25A1' || input === '\\Box') return 'box';
+  if (input === '<>' || input === '\u25C7' || input === '\\Diamond')
+    return 'diamond';
+  if (input === 'forall' || input === '\u2200' || input === '\\forall')
+    return 'forall';
+  if (input === 'exists' || input === '\u2203' || input === '\\exists')
+    return 'exists';
   if (input === '\u22A4' || input === 'true' || input === '\\top') return 'T';
   if (input === '\u22A5' || input === 'false' || input === '\\bot') return 'F';
   return input;
@@ -744,10 +986,14 @@ export function scannerFail(why, start, end) {
  */
 export function checkIntegrity(input) {
   var okayChars =
-    /[A-Za-z_0-9\\\/<>\-~^()\s\&\|\=\!\u2227\u2228\u2192\u2194\u22A4\u22A5\u00AC]/;
+    /[A-Za-z_0-9\\\/<>\-~^(),.\s\&\|\=\!\u2227\u2228\u2192\u2194\u22A4\u22A5\u00AC\u2295\u2191\u2193\u2200\u2203\u25A1\u25C7[\]]/;
   for (var i = 0; i < input.length; i++) {
     if (!okayChars.test(input.charAt(i))) {
-      scannerFail('Illegal character', i, i + 1);
+      scannerFail(
+        'El carácter ' + input.charAt(i) + ' no está permitido.',
+        i,
+        i + 1
+      );
     }
   }
 }
@@ -757,10 +1003,12 @@ export function checkIntegrity(input) {
  * Given the result of a preliminary scan, sorts the variables and renumbers them
  * alphabetically.
  *
- * The returned object has two fields:
+ * The returned object has these fields:
  *
- *    tokens:    The tokens from the scan, with variables numbered.
- *    variables: An array mapping numbers to variable names.
+ *    tokens:     The tokens from the scan, with variables numbered.
+ *    variables:  An array mapping numbers to variable names.
+ *    predicates: The predicates and their arities, sorted by name.
+ *    firstOrder: Whether there were any predicates or quantifiers.
  */
 export function numberVariables(preliminary) {
   /* Add all the variables from the dictionary to an array so we can sort. */
@@ -785,9 +1033,37 @@ export function numberVariables(preliminary) {
     }
   }
 
+  var predicates = [];
+  for (var name in preliminary.predicateSet) {
+    predicates.push({ name: name, arity: preliminary.predicateSet[name] });
+  }
+  predicates.sort(function (a, b) {
+    return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+  });
+
+  /* First-order and modal logic are kept apart: no model interprets both. */
+  var firstOrder =
+    predicates.length > 0 ||
+    preliminary.tokens.some(function (token) {
+      return token.type === 'quantifier';
+    });
+  var modal = preliminary.tokens.find(function (token) {
+    return token.type === 'box' || token.type === 'diamond';
+  });
+  if (firstOrder && modal !== undefined) {
+    scannerFail(
+      'No se pueden mezclar operadores modales con predicados o cuantificadores.',
+      modal.start,
+      modal.end
+    );
+  }
+
   return {
     tokens: preliminary.tokens,
     variables: variables,
+    predicates: predicates,
+    firstOrder: firstOrder,
+    modal: modal !== undefined,
   };
 }
 
@@ -802,6 +1078,10 @@ export function numberVariables(preliminary) {
  *
  *   evaluate(assignment), which returns the value of the expression given the
  *                         variable assignment as an array of trues and falses.
+ *   evaluateIn(assignment, logic),
+ *                         which does the same in a many-valued logic (see
+ *                         logics.js), with the values given as numbers and the
+ *                         connectives by the logic's truth functions.
  *   toString(variables),  which produces a human-readable representation of the
  *                         AST rooted at the node given the variables information.
  *                         in variables. The expression should have parentheses
@@ -814,6 +1094,9 @@ export function trueNode() {}
 trueNode.prototype.evaluate = function (assignment) {
   return true;
 };
+trueNode.prototype.evaluateIn = function (assignment, logic) {
+  return logic.top;
+};
 trueNode.prototype.toString = function (variables) {
   return '&#8868;';
 };
@@ -824,6 +1107,9 @@ export function falseNode() {}
 falseNode.prototype.evaluate = function (assignment) {
   return false;
 };
+falseNode.prototype.evaluateIn = function (assignment, logic) {
+  return logic.bottom;
+};
 falseNode.prototype.toString = function (variables) {
   return '&#8869;';
 };
@@ -837,6 +1123,9 @@ export function negateNode(underlying) {
 negateNode.prototype.evaluate = function (assignment) {
   return !this.underlying.evaluate(assignment);
 };
+negateNode.prototype.evaluateIn = function (assignment, logic) {
+  return logic.not(this.underlying.evaluateIn(assignment, logic));
+};
 negateNode.prototype.toString = function (variables) {
   return '&not;' + this.underlying.toString(variables);
 };
@@ -850,6 +1139,12 @@ export function andNode(lhs, rhs) {
 andNode.prototype.evaluate = function (assignment) {
   return this.lhs.evaluate(assignment) && this.rhs.evaluate(assignment);
 };
+andNode.prototype.evaluateIn = function (assignment, logic) {
+  return logic.and(
+    this.lhs.evaluateIn(assignment, logic),
+    this.rhs.evaluateIn(assignment, logic)
+  );
+};
 andNode.prototype.toString = function (variables) {
   return (
     '(' +
@@ -869,6 +1164,12 @@ export function orNode(lhs, rhs) {
 orNode.prototype.evaluate = function (assignment) {
   return this.lhs.evaluate(assignment) || this.rhs.evaluate(assignment);
 };
+orNode.prototype.evaluateIn = function (assignment, logic) {
+  return logic.or(
+    this.lhs.evaluateIn(assignment, logic),
+    this.rhs.evaluateIn(assignment, logic)
+  );
+};
 orNode.prototype.toString = function (variables) {
   return (
     '(' +
@@ -889,6 +1190,12 @@ export function impliesNode(lhs, rhs) {
 impliesNode.prototype.evaluate = function (assignment) {
   return !this.lhs.evaluate(assignment) || this.rhs.evaluate(assignment);
 };
+impliesNode.prototype.evaluateIn = function (assignment, logic) {
+  return logic.implies(
+    this.lhs.evaluateIn(assignment, logic),
+    this.rhs.evaluateIn(assignment, logic)
+  );
+};
 impliesNode.prototype.toString = function (variables) {
   return (
     '(' +
@@ -908,6 +1215,12 @@ export function iffNode(lhs, rhs) {
 iffNode.prototype.evaluate = function (assignment) {
   return this.lhs.evaluate(assignment) === this.rhs.evaluate(assignment);
 };
+iffNode.prototype.evaluateIn = function (assignment, logic) {
+  return logic.iff(
+    this.lhs.evaluateIn(assignment, logic),
+    this.rhs.evaluateIn(assignment, logic)
+  );
+};
 iffNode.prototype.toString = function (variables) {
   return (
     '(' +
@@ -918,6 +1231,82 @@ iffNode.prototype.toString = function (variables) {
   );
 };
 
+/*** Node type for xor ***/
+export function xorNode(lhs, rhs) {
+  this.lhs = lhs;
+  this.rhs = rhs;
+}
+
+/* Exclusive or is true exactly when the two sides differ. */
+xorNode.prototype.evaluate = function (assignment) {
+  return this.lhs.evaluate(assignment) !== this.rhs.evaluate(assignment);
+};
+xorNode.prototype.evaluateIn = function (assignment, logic) {
+  return logic.xor(
+    this.lhs.evaluateIn(assignment, logic),
+    this.rhs.evaluateIn(assignment, logic)
+  );
+};
+xorNode.prototype.toString = function (variables) {
+  return (
+    '(' +
+    this.lhs.toString(variables) +
+    ' &oplus; ' +
+    this.rhs.toString(variables) +
+    ')'
+  );
+};
+
+/*** Node type for nand ***/
+export function nandNode(lhs, rhs) {
+  this.lhs = lhs;
+  this.rhs = rhs;
+}
+
+nandNode.prototype.evaluate = function (assignment) {
+  return !(this.lhs.evaluate(assignment) && this.rhs.evaluate(assignment));
+};
+nandNode.prototype.evaluateIn = function (assignment, logic) {
+  return logic.nand(
+    this.lhs.evaluateIn(assignment, logic),
+    this.rhs.evaluateIn(assignment, logic)
+  );
+};
+nandNode.prototype.toString = function (variables) {
+  return (
+    '(' +
+    this.lhs.toString(variables) +
+    ' &uarr; ' +
+    this.rhs.toString(variables) +
+    ')'
+  );
+};
+
+/*** Node type for nor ***/
+export function norNode(lhs, rhs) {
+  this.lhs = lhs;
+  this.rhs = rhs;
+}
+
+norNode.prototype.evaluate = function (assignment) {
+  return !(this.lhs.evaluate(assignment) || this.rhs.evaluate(assignment));
+};
+norNode.prototype.evaluateIn = function (assignment, logic) {
+  return logic.nor(
+    this.lhs.evaluateIn(assignment, logic),
+    this.rhs.evaluateIn(assignment, logic)
+  );
+};
+norNode.prototype.toString = function (variables) {
+  return (
+    '(' +
+    this.lhs.toString(variables) +
+    ' &darr; ' +
+    this.rhs.toString(variables) +
+    ')'
+  );
+};
+
 /*** Node type for variables ***/
 export function variableNode(index) {
   this.index = index;
@@ -929,10 +1318,87 @@ export function variableNode(index) {
 variableNode.prototype.evaluate = function (assignment) {
   return assignment[this.index];
 };
+variableNode.prototype.evaluateIn = function (assignment, logic) {
+  return assignment[this.index];
+};
 variableNode.prototype.toString = function (variables) {
   return variables[this.index];
 };
 
+/*** Node type for [], necessity ***/
+export function boxNode(underlying) {
+  this.underlying = underlying;
+}
+
+/* The modal operators only have a value at a world of a Kripke model, which
+ * is what modal.js evaluates them in.
+ */
+boxNode.prototype.evaluate = function (assignment) {
+  unreachable('Modal operators need a Kripke model.');
+};
+boxNode.prototype.evaluateIn = function (assignment, logic) {
+  unreachable('Modal operators need a Kripke model.');
+};
+boxNode.prototype.toString = function (variables) {
+  return '&#9633;' + this.underlying.toString(variables);
+};
+
+/*** Node type for <>, possibility ***/
+export function diamondNode(underlying) {
+  this.underlying = underlying;
+}
+
+diamondNode.prototype.evaluate = function (assignment) {
+  unreachable('Modal operators need a Kripke model.');
+};
+diamondNode.prototype.evaluateIn = function (assignment, logic) {
+  unreachable('Modal operators need a Kripke model.');
+};
+diamondNode.prototype.toString = function (variables) {
+  return '&#9671;' + this.underlying.toString(variables);
+};
+
+/*** Node type for predicates applied to terms, like R(x, y). ***/
+export function predicateNode(name, args) {
+  this.name = name;
+  this.args = args;
+}
+
+/* Atoms and quantifiers only have a value in a first-order model, which is
+ * what fol.js evaluates them in.
+ */
+predicateNode.prototype.evaluate = function (assignment) {
+  unreachable('Predicates need a first-order model.');
+};
+predicateNode.prototype.evaluateIn = function (assignment, logic) {
+  unreachable('Predicates need a first-order model.');
+};
+predicateNode.prototype.toString = function (variables) {
+  return this.name + '(' + this.args.join(', ') + ')';
+};
+
+/*** Node type for the quantifiers forall and exists ***/
+export function quantifierNode(quantifier, variable, body) {
+  this.quantifier = quantifier;
+  this.variable = variable;
+  this.body = body;
+}
+
+quantifierNode.prototype.evaluate = function (assignment) {
+  unreachable('Quantifiers need a first-order model.');
+};
+quantifierNode.prototype.evaluateIn = function (assignment, logic) {
+  unreachable('Quantifiers need a first-order model.');
+};
+quantifierNode.prototype.toString = function (variables) {
+  return (
+    (this.quantifier === 'forall' ? '&forall;' : '&exist;') +
+    this.variable +
+    ' ' +
+    this.body.toString(variables)
+  );
+};
+
 /* Function: assert
  *
  * Asserts that the given claim is true, throwing an exception if it isn't.
@@ -0,0 +1,75 @@
+import { makeSentence } from './sentences';
+
+/* Permalinks carry the sentence list in the URL hash, so they work offline
+ * and without a server. The hash is
+ *
+ *   #f=<URI-encoded JSON of { s: [text, ...], o: [index of open table, ...] }>
+ */
+const kPrefix = '#f=';
+
+/* Function: encodePermalink
+ *
+ * Returns the hash that reproduces the given sentences.
+ */
+export function encodePermalink(sentences) {
+  let open = [];
+  for (let i = 0; i < sentences.length; i++) {
+    if (sentences[i].open) open.push(i);
+  }
+  let data = { s: sentences.map((s) => s.plain), o: open };
+  return kPrefix + encodeURIComponent(JSON.stringify(data));
+}
+
+/* Function: permalinkURL
+ *
+ * Returns the full address of the page with the permalink hash for the
+ * sentences.
+ */
+export function permalinkURL(sentences) {
+  return window.location.href.split('#')[0] + encodePermalink(sentences);
+}
+
+/* Function: readPermalink
+ *
+ * Decodes the sentences in the hash of the current address. Returns null if
+ * there is no permalink there. Texts that no longer parse are dropped.
+ */
+export function readPermalink(hash = window.location.hash) {
+  if (!hash.startsWith(kPrefix)) {
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(decodeURIComponent(hash.substring(kPrefix.length)));
+  } catch (error) {
+    return null;
+  }
+  if (!data || !Array.isArray(data.s)) {
+    return null;
+  }
+
+  let open = Array.isArray(data.o) ? data.o : [];
+  let sentences = [];
+  for (let i = 0; i < data.s.length; i++) {
+    try {
+      let sentence = makeSentence(String(data.s[i]));
+      sentence.open = open.includes(i);
+      sentences.push(sentence);
+    } catch (error) {
+      // drop it
+    }
+  }
+  return sentences;
+}
+
+/* Function: clearPermalink
+ *
+ * Removes the permalink from the address bar once it has been loaded, so
+ * that reloading the page doesn't load it again.
+ */
+export function clearPermalink() {
+  if (window.location.hash.startsWith(kPrefix)) {
+    window.history.replaceState(null, '', window.location.href.split('#')[0]);
+  }
+}
@@ -0,0 +1,387 @@
+import {
+  andNode,
+  falseNode,
+  iffNode,
+  impliesNode,
+  negateNode,
+  orNode,
+  parse,
+  trueNode,
+} from './parser';
+import { remapVariables, sameNode } from './sentences';
+
+/* A checker for natural deduction proofs written in Fitch style.
+ *
+ * A proof is a list of lines, each an object with these fields:
+ *
+ *   depth: How many subproofs the line is nested in.
+ *   text:  The formula, as input to the parser.
+ *   rule:  The name of the rule that justifies it (see proofRules).
+ *   cites: The lines and subproofs the rule is applied to, as text: line
+ *          numbers and ranges such as "1, 3-5", numbered from 1.
+ *
+ * Every Supuesto line opens a new subproof one level deeper than the line
+ * before it can see, and a subproof ends at the last line before the depth
+ * drops back. Each line is checked on its own, taking earlier lines as given,
+ * so that one mistake does not hide the ones after it.
+ */
+
+function isA(node, type) {
+  return node !== null && node instanceof type;
+}
+
+/* Every rule lists the kinds of citation it takes, in order, and a check that
+ * returns null if the line follows from what it cites and the reason why not
+ * otherwise. Cited lines are passed as their formulas and cited subproofs as
+ * { assumption, last }.
+ */
+export const proofRules = [
+  { name: 'Premisa', cites: [], check: () => null },
+  { name: 'Supuesto', cites: [], check: () => null },
+  {
+    name: 'R',
+    cites: ['line'],
+    check: (n, [a]) =>
+      sameNode(n, a) ? null : 'la línea debe repetir la fórmula citada.',
+  },
+  {
+    name: '∧I',
+    cites: ['line', 'line'],
+    check: (n, [a, b]) =>
+      isA(n, andNode) && sameNode(n.lhs, a) && sameNode(n.rhs, b)
+        ? null
+        : 'la línea debe ser la conjunción de las dos fórmulas citadas, en ese orden.',
+  },
+  {
+    name: '∧E',
+    cites: ['line'],
+    check: (n, [a]) =>
+      isA(a, andNode) && (sameNode(n, a.lhs) || sameNode(n, a.rhs))
+        ? null
+        : 'la línea citada debe ser una conjunción y esta línea uno de sus lados.',
+  },
+  {
+    name: '∨I',
+    cites: ['line'],
+    check: (n, [a]) =>
+      isA(n, orNode) && (sameNode(n.lhs, a) || sameNode(n.rhs, a))
+        ? null
+        : 'la línea debe ser una disyunción con la fórmula citada como uno de sus lados.',
+  },
+  {
+    name: '∨E',
+    cites: ['line', 'subproof', 'subproof'],
+    check: (n, [a, s1, s2]) => {
+      if (!isA(a, orNode)) return 'la línea citada debe ser una disyunción.';
+      if (!sameNode(s1.assumption, a.lhs) || !sameNode(s2.assumption, a.rhs)) {
+        return 'las subpruebas deben suponer cada lado de la disyunción, en orden.';
+      }
+      if (!sameNode(s1.last, n) || !sameNode(s2.last, n)) {
+        return 'las dos subpruebas deben terminar en la fórmula de esta línea.';
+      }
+      return null;
+    },
+  },
+  {
+    name: '→I',
+    cites: ['subproof'],
+    check: (n, [s]) =>
+      isA(n, impliesNode) &&
+      sameNode(n.lhs, s.assumption) &&
+      sameNode(n.rhs, s.last)
+        ? null
+        : 'la línea debe ser el supuesto de la subprueba implicando su última línea.',
+  },
+  {
+    name: '→E',
+    cites: ['line', 'line'],
+    check: (n, [a, b]) => {
+      let follows = (imp, ante) =>
+        isA(imp, impliesNode) &&
+        sameNode(imp.lhs, ante) &&
+        sameNode(imp.rhs, n);
+      return follows(a, b) || follows(b, a)
+        ? null
+        : 'hay que citar una implicación y su antecedente, y la línea debe ser el consecuente.';
+    },
+  },
+  {
+    name: '↔I',
+    cites: ['subproof', 'subproof'],
+    check: (n, [s1, s2]) => {
+      let goes = (s, from, to) =>
+        sameNode(s.assumption, from) && sameNode(s.last, to);
+      return isA(n, iffNode) &&
+        ((goes(s1, n.lhs, n.rhs) && goes(s2, n.rhs, n.lhs)) ||
+          (goes(s1, n.rhs, n.lhs) && goes(s2, n.lhs, n.rhs)))
+        ? null
+        : 'las subpruebas deben ir de cada lado del bicondicional al otro.';
+    },
+  },
+  {
+    name: '↔E',
+    cites: ['line', 'line'],
+    check: (n, [a, b]) => {
+      let follows = (iff, side) =>
+        isA(iff, iffNode) &&
+        ((sameNode(iff.lhs, side) && sameNode(iff.rhs, n)) ||
+          (sameNode(iff.rhs, side) && sameNode(iff.lhs, n)));
+      return follows(a, b) || follows(b, a)
+        ? null
+        : 'hay que citar un bicondicional y uno de sus lados, y la línea debe ser el otro.';
+    },
+  },
+  {
+    name: '¬I',
+    cites: ['subproof'],
+    check: (n, [s]) =>
+      isA(n, negateNode) &&
+      sameNode(n.underlying, s.assumption) &&
+      isA(s.last, falseNode)
+        ? null
+        : 'la subprueba debe llegar a ⊥ y la línea debe negar su supuesto.',
+  },
+  {
+    name: '¬E',
+    cites: ['line', 'line'],
+    check: (n, [a, b]) => {
+      let clash = (x, y) => isA(y, negateNode) && sameNode(y.underlying, x);
+      if (!isA(n, falseNode)) return 'la línea debe ser ⊥.';
+      return clash(a, b) || clash(b, a)
+        ? null
+        : 'hay que citar una fórmula y su negación.';
+    },
+  },
+  {
+    name: '¬¬E',
+    cites: ['line'],
+    check: (n, [a]) =>
+      isA(a, negateNode) &&
+      isA(a.underlying, negateNode) &&
+      sameNode(a.underlying.underlying, n)
+        ? null
+        : 'la línea citada debe ser la doble negación de esta.',
+  },
+  {
+    name: 'RAA',
+    cites: ['subproof'],
+    check: (n, [s]) =>
+      isA(s.assumption, negateNode) &&
+      sameNode(s.assumption.underlying, n) &&
+      isA(s.last, falseNode)
+        ? null
+        : 'la subprueba debe suponer la negación de esta línea y llegar a ⊥.',
+  },
+  {
+    name: '⊥E',
+    cites: ['line'],
+    check: (n, [a]) =>
+      isA(a, falseNode) ? null : 'la línea citada debe ser ⊥.',
+  },
+  {
+    name: '⊤I',
+    cites: [],
+    check: (n) => (isA(n, trueNode) ? null : 'la línea debe ser ⊤.'),
+  },
+];
+
+/* Function: parseCites
+ *
+ * Reads a list of citations such as "1, 3-5" into objects { kind, start, end }
+ * with zero-based line numbers, or returns null if the text is malformed.
+ */
+export function parseCites(text) {
+  let cites = [];
+  for (let part of text.split(',')) {
+    part = part.trim();
+    if (part.length === 0) continue;
+    let match = /^(\d+)\s*(?:-\s*(\d+))?$/.exec(part);
+    if (match === null) return null;
+    let start = Number(match[1]) - 1;
+    cites.push(
+      match[2] === undefined
+        ? { kind: 'line', start: start, end: start }
+        : { kind: 'subproof', start: start, end: Number(match[2]) - 1 }
+    );
+  }
+  return cites;
+}
+
+/* Function: proofStructure
+ *
+ * Works out the subproofs from the depths of the lines. Returns the scope of
+ * every line (the ids of the subproofs open at it, outermost first), the
+ * subproofs as { id, start, end, scope } where scope is the scope they were
+ * opened in, and an error message for each line whose depth is wrong.
+ */
+export function proofStructure(lines) {
+  let stack = [];
+  let scopes = [];
+  let subproofs = [];
+  let errors = lines.map(() => null);
+
+  let close = (end) => {
+    let subproof = stack.pop();
+    subproof.end = end;
+    subproofs.push(subproof);
+  };
+
+  for (let k = 0; k < lines.length; k++) {
+    let depth = lines[k].depth;
+    if (lines[k].rule === 'Supuesto') {
+      if (depth < 1) {
+        errors[k] = 'Un supuesto abre una subprueba, así que debe ir sangrado.';
+        depth = 1;
+      }
+      while (stack.length >= depth) close(k - 1);
+      if (stack.length < depth - 1) {
+        errors[k] = 'Un supuesto solo puede abrir un nivel más de sangría.';
+      }
+      stack.push({ id: k, start: k, scope: stack.map((s) => s.id) });
+    } else {
+      while (stack.length > depth) close(k - 1);
+      if (stack.length < depth) {
+        errors[k] = 'Solo un supuesto puede abrir una subprueba.';
+      }
+    }
+    scopes.push(stack.map((s) => s.id));
+  }
+  while (stack.length > 0) close(lines.length - 1);
+
+  return { scopes: scopes, subproofs: subproofs, errors: errors };
+}
+
+function isPrefix(outer, inner) {
+  return (
+    outer.length <= inner.length && outer.every((id, i) => inner[i] === id)
+  );
+}
+
+/* Function: checkProof
+ *
+ * Checks every line of the proof. Returns the formulas of the lines (null for
+ * those that do not parse) and their variables, a { ok, message } result per
+ * line, whether the whole proof is correct, and if so its premises and
+ * conclusion.
+ */
+export function checkProof(lines) {
+  let parsed = lines.map((line) => {
+    try {
+      return parse(line.text);
+    } catch (error) {
+      return { error: error };
+    }
+  });
+  let vars = [];
+  for (let p of parsed) {
+    for (let v of p.variables || []) {
+      if (!vars.includes(v)) vars.push(v);
+    }
+  }
+  let nodes = parsed.map((p) =>
+    p.error ? null : remapVariables(p.ast, p.variables, vars)
+  );
+
+  let structure = proofStructure(lines);
+  let results = lines.map((line, k) => {
+    let message =
+      parsed[k].error !== undefined
+        ? 'Fórmula inválida: ' + parsed[k].error.description
+        : structure.errors[k] || checkLine(lines, nodes, structure, k);
+    return { ok: message === null, message: message };
+  });
+
+  let valid =
+    lines.length > 0 &&
+    results.every((r) => r.ok) &&
+    lines[lines.length - 1].depth === 0;
+  return {
+    vars: vars,
+    nodes: nodes,
+    results: results,
+    valid: valid,
+    premises: valid ? nodes.filter((n, k) => lines[k].rule === 'Premisa') : [],
+    conclusion: valid ? nodes[nodes.length - 1] : null,
+  };
+}
+
+/* Checks the justification of line k, returning null if it holds and the
+ * reason why not otherwise.
+ */
+function checkLine(lines, nodes, structure, k) {
+  let line = lines[k];
+  let rule = proofRules.find((r) => r.name === line.rule);
+  if (rule === undefined) return 'Falta la regla.';
+  let prefix = rule.name + ': ';
+
+  if (rule.name === 'Premisa') {
+    if (line.depth !== 0)
+      return prefix + 'las premisas no van dentro de subpruebas.';
+    if (lines.slice(0, k).some((l) => l.rule !== 'Premisa')) {
+      return prefix + 'las premisas van al principio de la prueba.';
+    }
+  }
+
+  let cites = parseCites(line.cites);
+  if (cites === null) {
+    return prefix + 'no se entienden las citas; escríbelas como "1, 3-5".';
+  }
+  if (
+    cites.length !== rule.cites.length ||
+    cites.some((c, i) => c.kind !== rule.cites[i])
+  ) {
+    return prefix + 'se justifica citando ' + usage(rule) + '.';
+  }
+
+  let args = [];
+  for (let cite of cites) {
+    let label =
+      cite.start + 1 + (cite.kind === 'line' ? '' : '-' + (cite.end + 1));
+    if (cite.end >= k) {
+      return prefix + 'cita ' + label + ', que no está antes de esta línea.';
+    }
+    if (cite.kind === 'line') {
+      if (
+        cite.start < 0 ||
+        !isPrefix(structure.scopes[cite.start], structure.scopes[k])
+      ) {
+        return prefix + 'la línea ' + label + ' no está disponible aquí.';
+      }
+      if (nodes[cite.start] === null) {
+        return prefix + 'la línea ' + label + ' no tiene una fórmula válida.';
+      }
+      args.push(nodes[cite.start]);
+    } else {
+      let subproof = structure.subproofs.find(
+        (s) => s.start === cite.start && s.end === cite.end
+      );
+      if (subproof === undefined) {
+        return prefix + label + ' no es una subprueba completa.';
+      }
+      if (!isPrefix(subproof.scope, structure.scopes[k])) {
+        return prefix + 'la subprueba ' + label + ' no está disponible aquí.';
+      }
+      if (nodes[cite.start] === null || nodes[cite.end] === null) {
+        return prefix + 'la subprueba ' + label + ' tiene fórmulas inválidas.';
+      }
+      args.push({ assumption: nodes[cite.start], last: nodes[cite.end] });
+    }
+  }
+
+  let failure = rule.check(nodes[k], args);
+  return failure === null ? null : prefix + failure;
+}
+
+/* Describes the citations a rule takes, such as "i, j-k, l-m". */
+export function usage(rule) {
+  if (rule.cites.length === 0) return 'nada';
+  let letters = 'ijklmn';
+  let next = 0;
+  return rule.cites
+    .map((kind) =>
+      kind === 'line'
+        ? letters[next++]
+        : letters[next++] + '-' + letters[next++]
+    )
+    .join(', ');
+}
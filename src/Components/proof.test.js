@@ -0,0 +1,83 @@
+import { checkProof } from './proof';
+import { makeSentence, remapVariables, sameNode } from './sentences';
+
+function line(depth, text, rule, cites = '') {
+  return { depth: depth, text: text, rule: rule, cites: cites };
+}
+
+/* Modus tollens: from p → q and ¬q, ¬p. */
+const modusTollens = [
+  line(0, 'p -> q', 'Premisa'),
+  line(0, '~q', 'Premisa'),
+  line(1, 'p', 'Supuesto'),
+  line(1, 'q', '→E', '1, 3'),
+  line(1, 'false', '¬E', '4, 2'),
+  line(0, '~p', '¬I', '3-5'),
+];
+
+function messages(result) {
+  return result.results.map((r) => r.message);
+}
+
+test('checkProof accepts a correct derivation', () => {
+  let result = checkProof(modusTollens);
+  expect(messages(result)).toEqual(modusTollens.map(() => null));
+  expect(result.valid).toBe(true);
+  expect(result.premises.length).toBe(2);
+
+  let expected = makeSentence('~p');
+  expect(
+    sameNode(
+      result.conclusion,
+      remapVariables(expected.node, expected.vars, result.vars)
+    )
+  ).toBe(true);
+});
+
+test('checkProof accepts a proof by cases', () => {
+  let result = checkProof([
+    line(0, 'p \\/ q', 'Premisa'),
+    line(1, 'p', 'Supuesto'),
+    line(1, 'q \\/ p', '∨I', '2'),
+    line(1, 'q', 'Supuesto'),
+    line(1, 'q \\/ p', '∨I', '4'),
+    line(0, 'q \\/ p', '∨E', '1, 2-3, 4-5'),
+  ]);
+  expect(result.results.every((r) => r.ok)).toBe(true);
+  expect(result.valid).toBe(true);
+});
+
+test('checkProof rejects a line that does not follow', () => {
+  let lines = modusTollens.slice();
+  lines[5] = line(0, 'p', '¬I', '3-5');
+  let result = checkProof(lines);
+  expect(result.valid).toBe(false);
+  expect(result.results[5].ok).toBe(false);
+  expect(result.results.slice(0, 5).every((r) => r.ok)).toBe(true);
+  expect(result.conclusion).toBeNull();
+});
+
+test('checkProof rejects citing a line inside a closed subproof', () => {
+  let lines = modusTollens.concat([line(0, 'q', 'R', '4')]);
+  let result = checkProof(lines);
+  expect(result.valid).toBe(false);
+  expect(result.results[6].message).toMatch(/no está disponible/);
+});
+
+test('checkProof rejects malformed proofs', () => {
+  /* The last line is still inside the subproof. */
+  expect(checkProof(modusTollens.slice(0, 5)).valid).toBe(false);
+
+  /* Citations the rule does not take, or that cannot be read. */
+  let result = checkProof([
+    line(0, 'p', 'Premisa'),
+    line(0, 'p /\\ p', '∧I', '1'),
+    line(0, 'p', 'R', 'uno'),
+    line(0, 'p /\\', 'R', '1'),
+  ]);
+  expect(result.results.map((r) => r.ok)).toEqual([true, false, false, false]);
+  expect(result.results[3].message).toMatch(/^Fórmula inválida/);
+
+  /* An assumption has to open a subproof. */
+  expect(checkProof([line(0, 'p', 'Supuesto')]).results[0].ok).toBe(false);
+});
@@ -0,0 +1,199 @@
+import {
+  andNode,
+  falseNode,
+  iffNode,
+  impliesNode,
+  nandNode,
+  negateNode,
+  norNode,
+  orNode,
+  trueNode,
+  variableNode,
+  xorNode,
+} from './parser';
+import { jointVariables, remapVariables } from './sentences';
+
+/* Propositional resolution.
+ *
+ * A clause is a sorted array of nonzero integers: variable i of the joint
+ * variables is the literal i + 1, and its negation -(i + 1). The empty clause
+ * is the empty array.
+ *
+ * Sentences are put in clause form by the textbook route (eliminate the other
+ * connectives, push negations in, distribute) rather than the Tseitin encoding
+ * sat.js uses, so that every clause is a consequence of the sentence it came
+ * from and can be read by itself.
+ */
+
+/* Beyond this many clauses the clause form or the search is cut off. */
+export const kMaxClauses = 2000;
+
+function disjoin(a, b) {
+  let clauses = [];
+  for (let x of a) {
+    for (let y of b) {
+      clauses.push(x.concat(y));
+      if (clauses.length > kMaxClauses) throw new Error('Too many clauses.');
+    }
+  }
+  return clauses;
+}
+
+/* Returns the clauses of the node if positive is set, or of its negation
+ * otherwise, before any simplification.
+ */
+function clausesOf(node, positive) {
+  let both = (a, b) => a.concat(b);
+  let either = (a, b) => disjoin(a, b);
+  let [and, or] = positive ? [both, either] : [either, both];
+  let l = (p) => clausesOf(node.lhs, p === positive);
+  let r = (p) => clausesOf(node.rhs, p === positive);
+
+  if (node instanceof variableNode) {
+    return [[positive ? node.index + 1 : -(node.index + 1)]];
+  }
+  if (node instanceof trueNode) return positive ? [] : [[]];
+  if (node instanceof falseNode) return positive ? [[]] : [];
+  if (node instanceof negateNode) return clausesOf(node.underlying, !positive);
+  if (node instanceof andNode) return and(l(true), r(true));
+  if (node instanceof orNode) return or(l(true), r(true));
+  if (node instanceof nandNode) return or(l(false), r(false));
+  if (node instanceof norNode) return and(l(false), r(false));
+  if (node instanceof impliesNode) return or(l(false), r(true));
+
+  /* A <-> B is (~A \/ B) /\ (A \/ ~B), and A xor B is its negation. */
+  let iff = node instanceof iffNode ? positive : !positive;
+  if (node instanceof iffNode || node instanceof xorNode) {
+    let lhs = (p) => clausesOf(node.lhs, p);
+    let rhs = (p) => clausesOf(node.rhs, p);
+    return iff
+      ? disjoin(lhs(false), rhs(true)).concat(disjoin(lhs(true), rhs(false)))
+      : disjoin(lhs(true), rhs(true)).concat(disjoin(lhs(false), rhs(false)));
+  }
+  throw new Error('Unknown node type in clause form.');
+}
+
+/* Sorts the literals of a clause and drops repeated ones. Returns null if the
+ * clause has a literal and its negation, since it is then always true.
+ */
+function normalizeClause(clause) {
+  let literals = Array.from(new Set(clause)).sort((a, b) => a - b);
+  return literals.some((l) => literals.includes(-l)) ? null : literals;
+}
+
+/* Function: clauseForm
+ *
+ * Puts the sentences in clause form over their joint variables. Returns the
+ * variables and the clauses as { clause, source } where source is the index
+ * of the sentence the clause came from, or null if the clause form is too
+ * big.
+ */
+export function clauseForm(sentences) {
+  let vars = jointVariables(sentences);
+  let clauses = [];
+  let seen = new Set();
+  try {
+    for (let i = 0; i < sentences.length; i++) {
+      let node = remapVariables(sentences[i].node, sentences[i].vars, vars);
+      for (let raw of clausesOf(node, true)) {
+        let clause = normalizeClause(raw);
+        if (clause === null || seen.has(clause.join(','))) continue;
+        seen.add(clause.join(','));
+        clauses.push({ clause: clause, source: i });
+      }
+    }
+  } catch (e) {
+    return null;
+  }
+  return { vars: vars, clauses: clauses };
+}
+
+/* Function: refute
+ *
+ * Runs resolution on the clauses until it derives the empty clause, nothing
+ * new can be derived, or kMaxClauses is reached. Every clause is resolved
+ * against all the ones before it, and resolvents already known are dropped. Returns an object with these fields:
+ *
+ *   clauses:   Every clause as { clause, parents, literal }. Input clauses
+ *              have no parents; resolvents have the indices of the two they
+ *              came from and the literal resolved upon.
+ *   empty:     The index of the empty clause, or null if it was not derived.
+ *   truncated: Whether the search was cut off.
+ */
+export function refute(input) {
+  let clauses = input.map((clause) => ({
+    clause: clause,
+    parents: null,
+    literal: null,
+  }));
+  let known = new Set(input.map((clause) => clause.join(',')));
+
+  let empty = clauses.findIndex((c) => c.clause.length === 0);
+  if (empty !== -1) return { clauses: clauses, empty: empty, truncated: false };
+
+  for (let j = 0; j < clauses.length; j++) {
+    for (let i = 0; i < j; i++) {
+      for (let literal of clauses[i].clause) {
+        if (!clauses[j].clause.includes(-literal)) continue;
+        let resolvent = normalizeClause(
+          clauses[i].clause
+            .filter((l) => l !== literal)
+            .concat(clauses[j].clause.filter((l) => l !== -literal))
+        );
+        if (resolvent === null || known.has(resolvent.join(','))) continue;
+
+        known.add(resolvent.join(','));
+        clauses.push({ clause: resolvent, parents: [i, j], literal: literal });
+        if (resolvent.length === 0) {
+          return {
+            clauses: clauses,
+            empty: clauses.length - 1,
+            truncated: false,
+          };
+        }
+        if (clauses.length >= kMaxClauses) {
+          return { clauses: clauses, empty: null, truncated: true };
+        }
+      }
+    }
+  }
+  return { clauses: clauses, empty: null, truncated: false };
+}
+
+/* Function: refutationOf
+ *
+ * Keeps only the clauses the empty clause was derived from, renumbering them
+ * in order. Parents are rewritten to the new indices.
+ */
+export function refutationOf(result) {
+  let used = new Set();
+  let visit = (index) => {
+    if (used.has(index)) return;
+    used.add(index);
+    let parents = result.clauses[index].parents;
+    if (parents !== null) parents.forEach(visit);
+  };
+  visit(result.empty);
+
+  let kept = Array.from(used).sort((a, b) => a - b);
+  let renumber = new Map(kept.map((old, i) => [old, i]));
+  return kept.map((old) => {
+    let c = result.clauses[old];
+    return {
+      ...c,
+      index: old,
+      parents:
+        c.parents === null ? null : c.parents.map((p) => renumber.get(p)),
+    };
+  });
+}
+
+/* Function: clauseToText
+ *
+ * Writes a clause as a set of literals, or □ for the empty clause.
+ */
+export function clauseToText(clause, vars) {
+  if (clause.length === 0) return '□';
+  let literal = (l) => (l > 0 ? '' : '¬') + vars[Math.abs(l) - 1];
+  return '{' + clause.map(literal).join(', ') + '}';
+}
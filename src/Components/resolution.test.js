@@ -0,0 +1,54 @@
+import { negation } from './sat';
+import { clauseForm, refutationOf, refute } from './resolution';
+import { makeSentence } from './sentences';
+
+/* Runs resolution on the negation of the sentence, which derives the empty
+ * clause exactly when the sentence is a tautology.
+ */
+function refuteNegation(text) {
+  let form = clauseForm([negation(makeSentence(text))]);
+  return refute(form.clauses.map((c) => c.clause));
+}
+
+test('refute derives the empty clause from the negation of tautologies', () => {
+  for (let text of [
+    'p \\/ ~p',
+    '((p -> q) -> p) -> p',
+    '(p -> q) <-> (~q -> ~p)',
+    '(p -> (q -> r)) -> ((p -> q) -> (p -> r))',
+    '(p xor q) <-> ~(p <-> q)',
+  ]) {
+    let result = refuteNegation(text);
+    expect(result.empty).not.toBeNull();
+    expect(result.clauses[result.empty].clause).toEqual([]);
+  }
+});
+
+test('refute saturates without the empty clause on non-tautologies', () => {
+  for (let text of ['p', 'p -> q', '(p -> q) -> (q -> p)', 'p \\/ q']) {
+    let result = refuteNegation(text);
+    expect(result.empty).toBeNull();
+    expect(result.truncated).toBe(false);
+  }
+});
+
+test('every step of a refutation resolves its two parents', () => {
+  let form = clauseForm(
+    ['p \\/ q', 'p -> r', 'q -> r', '~r'].map(makeSentence)
+  );
+  let result = refute(form.clauses.map((c) => c.clause));
+  expect(result.empty).not.toBeNull();
+
+  let steps = refutationOf(result);
+  expect(steps[steps.length - 1].clause).toEqual([]);
+  for (let step of steps) {
+    if (step.parents === null) continue;
+    let [a, b] = step.parents.map((i) => steps[i].clause);
+    expect(a).toContain(step.literal);
+    expect(b).toContain(-step.literal);
+    let expected = a
+      .filter((l) => l !== step.literal)
+      .concat(b.filter((l) => l !== -step.literal));
+    expect(new Set(step.clause)).toEqual(new Set(expected));
+  }
+});
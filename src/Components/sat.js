@@ -0,0 +1,595 @@
+/* global BigInt */
+import {
+  andNode,
+  falseNode,
+  iffNode,
+  impliesNode,
+  nandNode,
+  negateNode,
+  norNode,
+  orNode,
+  trueNode,
+  variableNode,
+  xorNode,
+} from './parser';
+
+/* A propositional SAT solver, used instead of enumerating truth tables when
+ * all we need to know is whether some assignment works.
+ *
+ * Formulas are Tseitin-encoded into CNF, which only adds one variable and a
+ * handful of clauses per connective, and the CNF is solved with CDCL: DPLL
+ * with unit propagation over two watched literals per clause, conflict
+ * analysis to the first unique implication point, clause learning,
+ * non-chronological backjumping, VSIDS-style branching and restarts.
+ *
+ * Clauses are arrays of nonzero integers in the DIMACS convention: v is the
+ * variable v and -v its negation, with variables numbered from 1.
+ */
+
+/* Function: newEncoding
+ *
+ * Returns an empty CNF under construction. Variables are named by the
+ * sentences' variable names, so formulas parsed separately share them.
+ */
+export function newEncoding() {
+  return { numVars: 0, clauses: [], names: {}, constant: 0 };
+}
+
+function freshVar(encoding) {
+  encoding.numVars++;
+  return encoding.numVars;
+}
+
+function namedVar(encoding, name) {
+  if (!encoding.names.hasOwnProperty(name)) {
+    encoding.names[name] = freshVar(encoding);
+  }
+  return encoding.names[name];
+}
+
+/* A variable forced to be true, created on first use. */
+function trueLiteral(encoding) {
+  if (encoding.constant === 0) {
+    encoding.constant = freshVar(encoding);
+    encoding.clauses.push([encoding.constant]);
+  }
+  return encoding.constant;
+}
+
+/* Function: encode
+ *
+ * Adds the Tseitin clauses for the AST to the encoding and returns the literal
+ * that is equivalent to the whole formula.
+ */
+export function encode(encoding, node, variables) {
+  if (node instanceof variableNode) {
+    return namedVar(encoding, variables[node.index]);
+  }
+  if (node instanceof trueNode) return trueLiteral(encoding);
+  if (node instanceof falseNode) return -trueLiteral(encoding);
+  if (node instanceof negateNode) {
+    return -encode(encoding, node.underlying, variables);
+  }
+
+  let a = encode(encoding, node.lhs, variables);
+  let b = encode(encoding, node.rhs, variables);
+  let x = freshVar(encoding);
+  let clauses = encoding.clauses;
+
+  if (node instanceof andNode || node instanceof nandNode) {
+    clauses.push([-x, a], [-x, b], [x, -a, -b]);
+    return node instanceof andNode ? x : -x;
+  }
+  if (node instanceof orNode || node instanceof norNode) {
+    clauses.push([x, -a], [x, -b], [-x, a, b]);
+    return node instanceof orNode ? x : -x;
+  }
+  if (node instanceof impliesNode) {
+    clauses.push([x, a], [x, -b], [-x, -a, b]);
+    return x;
+  }
+  if (node instanceof iffNode || node instanceof xorNode) {
+    clauses.push([-x, -a, b], [-x, a, -b], [x, a, b], [x, -a, -b]);
+    return node instanceof iffNode ? x : -x;
+  }
+  throw new Error('Unknown node type in SAT encoding.');
+}
+
+/* Function: assertLiteral
+ *
+ * Requires the given literal to be true.
+ */
+export function assertLiteral(encoding, literal) {
+  encoding.clauses.push([literal]);
+}
+
+/* Restart after this many conflicts, growing geometrically. */
+const kRestartBase = 100;
+const kRestartGrowth = 1.5;
+const kActivityDecay = 0.95;
+
+/* Learnt clauses are pruned to the most useful half once there are more than
+ * this many, and the limit grows after every pruning.
+ */
+const kLearntBase = 2000;
+const kLearntGrowth = 1.1;
+
+/* Function: solve
+ *
+ * Runs CDCL on the clauses over variables 1..numVars. Returns null if they
+ * are unsatisfiable, or otherwise a model: an array indexed by variable
+ * holding true or false (index 0 is unused).
+ */
+export function solve(numVars, inputClauses) {
+  /* Literal v is coded as 2v and literal -v as 2v + 1, so that the two
+   * literals of a variable differ in the last bit.
+   */
+  let code = (lit) => (lit > 0 ? 2 * lit : -2 * lit + 1);
+  let varOf = (c) => c >> 1;
+
+  let value = new Int8Array(numVars + 1); // 1 true, -1 false, 0 unassigned
+  let level = new Int32Array(numVars + 1);
+  let reason = new Array(numVars + 1).fill(null);
+  let activity = new Float64Array(numVars + 1);
+  let phase = new Int8Array(numVars + 1).fill(-1);
+  let seen = new Uint8Array(numVars + 1);
+  let watches = [];
+  for (let i = 0; i < 2 * numVars + 2; i++) watches.push([]);
+
+  let trail = [];
+  let trailLim = [];
+  let head = 0;
+  let increment = 1;
+
+  let litValue = (c) => {
+    let v = value[varOf(c)];
+    return c & 1 ? -v : v;
+  };
+
+  function enqueue(c, from) {
+    let v = varOf(c);
+    value[v] = c & 1 ? -1 : 1;
+    level[v] = trailLim.length;
+    reason[v] = from;
+    trail.push(c);
+  }
+
+  function watch(clause) {
+    watches[clause[0] ^ 1].push(clause);
+    watches[clause[1] ^ 1].push(clause);
+  }
+
+  /* Returns a conflicting clause, or null when propagation is complete. */
+  function propagate() {
+    while (head < trail.length) {
+      let p = trail[head++];
+      let list = watches[p];
+      let falseLit = p ^ 1;
+      let kept = 0;
+      let conflict = null;
+
+      for (let i = 0; i < list.length; i++) {
+        let clause = list[i];
+        if (clause.deleted) continue;
+        if (conflict !== null) {
+          list[kept++] = clause;
+          continue;
+        }
+        if (clause[0] === falseLit) {
+          clause[0] = clause[1];
+          clause[1] = falseLit;
+        }
+        if (litValue(clause[0]) === 1) {
+          list[kept++] = clause;
+          continue;
+        }
+
+        /* Look for a new literal to watch. */
+        let moved = false;
+        for (let k = 2; k < clause.length; k++) {
+          if (litValue(clause[k]) !== -1) {
+            clause[1] = clause[k];
+            clause[k] = falseLit;
+            watches[clause[1] ^ 1].push(clause);
+            moved = true;
+            break;
+          }
+        }
+        if (moved) continue;
+
+        list[kept++] = clause;
+        if (litValue(clause[0]) === -1) {
+          conflict = clause;
+        } else {
+          enqueue(clause[0], clause);
+        }
+      }
+      list.length = kept;
+      if (conflict !== null) return conflict;
+    }
+    return null;
+  }
+
+  function bump(v) {
+    activity[v] += increment;
+    if (activity[v] > 1e100) {
+      for (let i = 1; i <= numVars; i++) activity[i] *= 1e-100;
+      increment *= 1e-100;
+    }
+  }
+
+  /* First-UIP conflict analysis. Returns the learnt clause, asserting
+   * literal first, and the level to jump back to.
+   */
+  function analyze(conflict) {
+    let learnt = [0];
+    let pathCount = 0;
+    let p = -1;
+    let index = trail.length - 1;
+    let clause = conflict;
+    let current = trailLim.length;
+
+    do {
+      for (let c of clause) {
+        if (c === p) continue;
+        let v = varOf(c);
+        if (seen[v] || level[v] === 0) continue;
+        seen[v] = 1;
+        bump(v);
+        if (level[v] === current) {
+          pathCount++;
+        } else {
+          learnt.push(c);
+        }
+      }
+      while (!seen[varOf(trail[index])]) index--;
+      p = trail[index];
+      clause = reason[varOf(p)];
+      seen[varOf(p)] = 0;
+      pathCount--;
+      index--;
+    } while (pathCount > 0);
+    learnt[0] = p ^ 1;
+
+    /* Drop the literals whose reason is made of other literals of the clause;
+     * they are implied by the rest anyway.
+     */
+    let all = learnt.slice();
+    learnt = learnt.filter((c, i) => {
+      let from = i === 0 ? null : reason[varOf(c)];
+      return (
+        from === null ||
+        !from.every(
+          (d) => d === (c ^ 1) || seen[varOf(d)] || level[varOf(d)] === 0
+        )
+      );
+    });
+    for (let c of all) {
+      seen[varOf(c)] = 0;
+    }
+
+    let back = 0;
+    let at = 1;
+    for (let i = 1; i < learnt.length; i++) {
+      if (level[varOf(learnt[i])] > back) {
+        back = level[varOf(learnt[i])];
+        at = i;
+      }
+    }
+    if (learnt.length > 1) {
+      let tmp = learnt[1];
+      learnt[1] = learnt[at];
+      learnt[at] = tmp;
+    }
+    increment /= kActivityDecay;
+    return { learnt: learnt, back: back };
+  }
+
+  function backjump(target) {
+    while (trailLim.length > target) {
+      let stop = trailLim.pop();
+      while (trail.length > stop) {
+        let v = varOf(trail.pop());
+        phase[v] = value[v];
+        value[v] = 0;
+        reason[v] = null;
+      }
+    }
+    head = trail.length;
+  }
+
+  /* Literal block distance: how many decision levels the clause spans. */
+  function blockDistance(clause) {
+    return new Set(clause.map((c) => level[varOf(c)])).size;
+  }
+
+  /* Deletes the less useful half of the learnt clauses, keeping the ones
+   * that are reasons for current assignments or span at most two levels.
+   */
+  function reduceLearnts() {
+    learnts.sort((a, b) => a.lbd - b.lbd || a.length - b.length);
+    let keep = [];
+    for (let i = 0; i < learnts.length; i++) {
+      let clause = learnts[i];
+      let locked = reason[varOf(clause[0])] === clause;
+      if (i < learnts.length / 2 || clause.lbd <= 2 || locked) {
+        keep.push(clause);
+      } else {
+        clause.deleted = true;
+      }
+    }
+    learnts = keep;
+  }
+
+  function pickBranch() {
+    let best = 0;
+    for (let v = 1; v <= numVars; v++) {
+      if (value[v] === 0 && (best === 0 || activity[v] > activity[best])) {
+        best = v;
+      }
+    }
+    return best;
+  }
+
+  /* Load the clauses, dropping duplicate literals and tautologies. */
+  for (let input of inputClauses) {
+    let clause = [];
+    let tautology = false;
+    for (let lit of input) {
+      let c = code(lit);
+      if (clause.includes(c ^ 1)) tautology = true;
+      if (!clause.includes(c)) clause.push(c);
+    }
+    if (tautology) continue;
+    if (clause.length === 0) return null;
+    if (clause.length === 1) {
+      let v = litValue(clause[0]);
+      if (v === -1) return null;
+      if (v === 0) enqueue(clause[0], null);
+      continue;
+    }
+    watch(clause);
+  }
+
+  let learnts = [];
+  let maxLearnts = kLearntBase;
+  let conflicts = 0;
+  let restartAt = kRestartBase;
+  while (true) {
+    let conflict = propagate();
+    if (conflict !== null) {
+      if (trailLim.length === 0) return null;
+      conflicts++;
+      let { learnt, back } = analyze(conflict);
+      backjump(back);
+      if (learnt.length === 1) {
+        enqueue(learnt[0], null);
+      } else {
+        learnt.lbd = blockDistance(learnt);
+        learnts.push(learnt);
+        watch(learnt);
+        enqueue(learnt[0], learnt);
+      }
+      continue;
+    }
+
+    if (learnts.length > maxLearnts) {
+      reduceLearnts();
+      maxLearnts *= kLearntGrowth;
+    }
+
+    if (conflicts >= restartAt) {
+      restartAt = conflicts + Math.floor(restartAt * kRestartGrowth);
+      backjump(0);
+      continue;
+    }
+
+    let v = pickBranch();
+    if (v === 0) break;
+    trailLim.push(trail.length);
+    enqueue(phase[v] === 1 ? 2 * v : 2 * v + 1, null);
+  }
+
+  let model = [false];
+  for (let v = 1; v <= numVars; v++) {
+    model.push(value[v] === 1);
+  }
+  return model;
+}
+
+/* Function: findModel
+ *
+ * Looks for an assignment making every one of the sentences true. Returns
+ * null if there is none, or otherwise an object mapping each variable name to
+ * its value.
+ */
+export function findModel(sentences) {
+  let encoding = newEncoding();
+  for (let s of sentences) {
+    assertLiteral(encoding, encode(encoding, s.node, s.vars));
+  }
+  let model = solve(encoding.numVars, encoding.clauses);
+  if (model === null) {
+    return null;
+  }
+
+  let named = {};
+  for (let name in encoding.names) {
+    named[name] = model[encoding.names[name]];
+  }
+  return named;
+}
+
+/* Function: negation
+ *
+ * Returns the sentence that is the negation of the given one.
+ */
+export function negation(sentence) {
+  let node = new negateNode(sentence.node);
+  return {
+    plain: '~(' + sentence.plain + ')',
+    format: node.toString(sentence.vars),
+    node: node,
+    vars: sentence.vars,
+  };
+}
+
+/* The model counter gives up after searching for this long, in ms. */
+const kCountMs = 1000;
+
+/* Assigns the literal and simplifies the clauses accordingly. Returns null if
+ * some clause becomes empty.
+ */
+function assign(clauses, lit) {
+  let result = [];
+  for (let clause of clauses) {
+    if (clause.includes(lit)) continue;
+    if (clause.includes(-lit)) {
+      let rest = clause.filter((l) => l !== -lit);
+      if (rest.length === 0) return null;
+      result.push(rest);
+    } else {
+      result.push(clause);
+    }
+  }
+  return result;
+}
+
+function variablesOf(clauses) {
+  let vars = new Set();
+  for (let clause of clauses) {
+    for (let lit of clause) vars.add(Math.abs(lit));
+  }
+  return vars;
+}
+
+/* Splits the clauses into groups that share no variables. */
+function components(clauses) {
+  let parent = new Map();
+  let find = (v) => {
+    while (parent.get(v) !== v) v = parent.get(v);
+    return v;
+  };
+  for (let clause of clauses) {
+    for (let lit of clause) {
+      let v = Math.abs(lit);
+      if (!parent.has(v)) parent.set(v, v);
+    }
+    let root = find(Math.abs(clause[0]));
+    for (let lit of clause) {
+      parent.set(find(Math.abs(lit)), root);
+    }
+  }
+
+  let groups = new Map();
+  for (let clause of clauses) {
+    let root = find(Math.abs(clause[0]));
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(clause);
+  }
+  return Array.from(groups.values());
+}
+
+/* Function: countSolutions
+ *
+ * Counts the assignments to variables 1..numVars satisfying the clauses with
+ * a DPLL search that counts independent groups of clauses separately and
+ * multiplies out the variables left unconstrained. Returns a BigInt, or null
+ * if the search takes longer than kCountMs.
+ */
+export function countSolutions(numVars, clauses) {
+  let deadline = Date.now() + kCountMs;
+  let pow2 = (k) => BigInt(1) << BigInt(k);
+
+  /* Counts the assignments to the variables mentioned in the clauses. */
+  function count(clauses) {
+    if (Date.now() > deadline) return null;
+    let before = variablesOf(clauses).size;
+
+    /* Unit propagation. */
+    let assigned = 0;
+    while (true) {
+      let unit = clauses.find((c) => c.length === 1);
+      if (unit === undefined) break;
+      clauses = assign(clauses, unit[0]);
+      if (clauses === null) return BigInt(0);
+      assigned++;
+    }
+    let after = variablesOf(clauses).size;
+    let factor = pow2(before - assigned - after);
+    if (clauses.length === 0) return factor;
+
+    let groups = components(clauses);
+    if (groups.length > 1) {
+      let product = factor;
+      for (let group of groups) {
+        let part = count(group);
+        if (part === null) return null;
+        product *= part;
+      }
+      return product;
+    }
+
+    /* Branch on a variable of a shortest clause. */
+    let shortest = clauses[0];
+    for (let c of clauses) {
+      if (c.length < shortest.length) shortest = c;
+    }
+    let v = Math.abs(shortest[0]);
+    let total = BigInt(0);
+    for (let lit of [v, -v]) {
+      let rest = assign(clauses, lit);
+      if (rest === null) continue;
+      let part = count(rest);
+      if (part === null) return null;
+      total += part * pow2(after - 1 - variablesOf(rest).size);
+    }
+    return total * factor;
+  }
+
+  let normalized = clauses
+    .map((c) => Array.from(new Set(c)))
+    .filter((c) => !c.some((l) => c.includes(-l)));
+  let result = count(normalized);
+  if (result === null) return null;
+  return result * pow2(numVars - variablesOf(normalized).size);
+}
+
+/* Function: countModels
+ *
+ * Counts the assignments to the joint variables of the sentences that make
+ * all of them true. Every Tseitin variable is determined by the variables of
+ * the sentences, so counting solutions of the encoding gives the same
+ * number. Returns a BigInt, or null if there are too many to count.
+ */
+export function countModels(sentences) {
+  let encoding = newEncoding();
+  for (let s of sentences) {
+    assertLiteral(encoding, encode(encoding, s.node, s.vars));
+  }
+  return countSolutions(encoding.numVars, encoding.clauses);
+}
+
+/* Function: minimalUnsatisfiableSubset
+ *
+ * Given an unsatisfiable list of sentences, drops sentences one at a time as
+ * long as what remains is still unsatisfiable. Every sentence of the result
+ * is needed: removing any one of them makes the rest satisfiable. Each
+ * sentence takes a call to the solver, so this is a generator like the table
+ * jobs (see tableJobs.js): it yields { done, total } after each one and
+ * returns the indices of the sentences it kept.
+ */
+export function* minimalUnsatisfiableSubset(sentences) {
+  let core = sentences.map((s, i) => i);
+  let i = 0;
+  while (i < core.length) {
+    yield { done: sentences.length - core.length + i, total: sentences.length };
+    let without = core.slice(0, i).concat(core.slice(i + 1));
+    if (findModel(without.map((j) => sentences[j])) === null) {
+      core = without;
+    } else {
+      i++;
+    }
+  }
+  return core;
+}
@@ -0,0 +1,136 @@
+/* global BigInt */
+import { countModels, countSolutions, findModel, solve } from './sat';
+import { allAssignments, makeSentence } from './sentences';
+
+/* A small deterministic generator, so that failures can be reproduced. */
+function random(seed) {
+  return () => {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    return seed / 4294967296;
+  };
+}
+
+function randomClauses(rand, numVars, count) {
+  let clauses = [];
+  for (let i = 0; i < count; i++) {
+    let clause = [];
+    let length = 1 + Math.floor(rand() * 3);
+    for (let j = 0; j < length; j++) {
+      let v = 1 + Math.floor(rand() * numVars);
+      clause.push(rand() < 0.5 ? v : -v);
+    }
+    clauses.push(clause);
+  }
+  return clauses;
+}
+
+function satisfies(model, clauses) {
+  return clauses.every((c) => c.some((l) => (l > 0 ? model[l] : !model[-l])));
+}
+
+/* Counts the assignments to variables 1..numVars satisfying the clauses by
+ * trying all of them.
+ */
+function bruteForceCount(numVars, clauses) {
+  let count = 0;
+  for (let row = 0; row < 1 << numVars; row++) {
+    let model = [undefined];
+    for (let v = 1; v <= numVars; v++) model.push(((row >> (v - 1)) & 1) === 1);
+    if (satisfies(model, clauses)) count++;
+  }
+  return count;
+}
+
+const operators = ['/\\', '\\/', '->', '<->', 'xor', 'nand', 'nor'];
+
+function randomFormula(rand, depth) {
+  if (depth === 0 || rand() < 0.2) {
+    return 'pqrs'[Math.floor(rand() * 4)];
+  }
+  if (rand() < 0.2) {
+    return '~' + randomFormula(rand, depth - 1);
+  }
+  let op = operators[Math.floor(rand() * operators.length)];
+  return (
+    '(' +
+    randomFormula(rand, depth - 1) +
+    ' ' +
+    op +
+    ' ' +
+    randomFormula(rand, depth - 1) +
+    ')'
+  );
+}
+
+test('solve agrees with trying every assignment', () => {
+  let rand = random(1);
+  for (let t = 0; t < 300; t++) {
+    let numVars = 1 + Math.floor(rand() * 6);
+    let clauses = randomClauses(rand, numVars, Math.floor(rand() * 20));
+    let model = solve(numVars, clauses);
+    expect(model !== null).toBe(bruteForceCount(numVars, clauses) > 0);
+    expect(model === null || satisfies(model, clauses)).toBe(true);
+  }
+});
+
+test('findModel agrees with the truth table', () => {
+  let rand = random(3);
+  for (let t = 0; t < 200; t++) {
+    let sentence = makeSentence(randomFormula(rand, 4));
+    let rows = allAssignments(sentence.vars.length).filter((a) =>
+      sentence.node.evaluate(a)
+    );
+
+    let model = findModel([sentence]);
+    expect(model !== null).toBe(rows.length > 0);
+    expect(
+      model === null ||
+        sentence.node.evaluate(sentence.vars.map((v) => model[v]))
+    ).toBe(true);
+  }
+});
+
+test('findModel looks for a model of all the sentences at once', () => {
+  let sentences = ['p -> q', 'p', '~q'].map(makeSentence);
+  expect(findModel(sentences)).toBeNull();
+  expect(findModel(sentences.slice(0, 2))).toEqual({ p: true, q: true });
+});
+
+test('countSolutions agrees with trying every assignment', () => {
+  let rand = random(2);
+  for (let t = 0; t < 300; t++) {
+    let numVars = 1 + Math.floor(rand() * 6);
+    let clauses = randomClauses(rand, numVars, Math.floor(rand() * 12));
+    expect(countSolutions(numVars, clauses)).toBe(
+      BigInt(bruteForceCount(numVars, clauses))
+    );
+  }
+});
+
+test('countModels agrees with the truth table', () => {
+  let rand = random(4);
+  for (let t = 0; t < 200; t++) {
+    let sentence = makeSentence(randomFormula(rand, 4));
+    let rows = allAssignments(sentence.vars.length).filter((a) =>
+      sentence.node.evaluate(a)
+    );
+    expect(countModels([sentence])).toBe(BigInt(rows.length));
+  }
+});
+
+test('countModels gives up on sets too big to count in time', () => {
+  let rand = random(5);
+  let sentences = [];
+  for (let i = 0; i < 200; i++) {
+    let literals = [];
+    for (let j = 0; j < 3; j++) {
+      let v = 'x' + Math.floor(rand() * 60);
+      literals.push(rand() < 0.5 ? v : '~' + v);
+    }
+    sentences.push(makeSentence(literals.join(' \\/ ')));
+  }
+  let start = Date.now();
+  let count = countModels(sentences);
+  expect(count).toBeNull();
+  expect(Date.now() - start).toBeLessThan(3000);
+});
@@ -0,0 +1,172 @@
+import { parse } from './parser';
+
+/* A sentence is the unit the tables work with. It has these fields:
+ *
+ *   plain:  The text the user typed, which is enough to rebuild the rest.
+ *   format: The HTML rendering of the formula.
+ *   node:   The root of the AST.
+ *   vars:   The variables of the formula, indexed as in the AST.
+ *   firstOrder: Whether the formula has predicates or quantifiers. Such
+ *           sentences have no truth table and are evaluated in a first-order
+ *           model instead (see fol.js).
+ *   modal:  Whether the formula has modal operators, which are evaluated at
+ *           the worlds of a Kripke model instead (see modal.js).
+ *   id:     A number no other sentence made in the page has, which the list
+ *           of tables uses as the key of the sentence.
+ */
+
+let nextId = 0;
+
+/* Function: makeSentence
+ *
+ * Parses the given text into a sentence. Parse errors propagate to the caller.
+ */
+export function makeSentence(plain) {
+  return sentenceFromParse(plain, parse(plain));
+}
+
+/* Function: sentenceFromParse
+ *
+ * Builds a sentence out of text that has already been parsed.
+ */
+export function sentenceFromParse(plain, output) {
+  return {
+    plain: plain,
+    format: output.ast.toString(output.variables),
+    node: output.ast,
+    vars: output.variables,
+    firstOrder: output.firstOrder,
+    modal: output.modal,
+    id: nextId++,
+  };
+}
+
+/* Function: allAssignments
+ *
+ * Returns every assignment of n variables as arrays of booleans, in the order
+ * the tables list them: starting with all true and counting down to all
+ * false, with the first variable changing slowest.
+ */
+export function allAssignments(n) {
+  let assignments = [];
+  for (let i = 0; i < Math.pow(2, n); i++) {
+    assignments.push([]);
+    for (let j = 0; j < n; j++) {
+      let mod = Math.pow(2, n - j);
+      let bool = i % mod < mod / 2 ? true : false;
+      assignments[i].push(bool);
+    }
+  }
+  return assignments;
+}
+
+/* Function: isPropositional
+ *
+ * Returns whether the sentence can go through the propositional tools, that
+ * is, whether it is neither first-order nor modal.
+ */
+export function isPropositional(sentence) {
+  return !sentence.firstOrder && !sentence.modal;
+}
+
+/* Function: jointVariables
+ *
+ * Returns the union of the variables of the given sentences, in order of
+ * first appearance.
+ */
+export function jointVariables(sentences) {
+  let vars = [];
+  for (let s of sentences) {
+    for (let v of s.vars) {
+      if (!vars.includes(v)) {
+        vars.push(v);
+      }
+    }
+  }
+  return vars;
+}
+
+/* Function: remapVariables
+ *
+ * Copies the AST so that its variables index into toVars instead of fromVars.
+ * This is what lets formulas parsed separately be combined into one AST.
+ */
+export function remapVariables(node, fromVars, toVars) {
+  if (node.hasOwnProperty('index')) {
+    return new node.constructor(toVars.indexOf(fromVars[node.index]));
+  }
+  if (node.hasOwnProperty('underlying')) {
+    return new node.constructor(
+      remapVariables(node.underlying, fromVars, toVars)
+    );
+  }
+  if (node.hasOwnProperty('lhs')) {
+    return new node.constructor(
+      remapVariables(node.lhs, fromVars, toVars),
+      remapVariables(node.rhs, fromVars, toVars)
+    );
+  }
+  if (node.hasOwnProperty('body')) {
+    return new node.constructor(
+      node.quantifier,
+      node.variable,
+      remapVariables(node.body, fromVars, toVars)
+    );
+  }
+  return node;
+}
+
+/* Function: sameNode
+ *
+ * Returns whether the two ASTs are the same formula, node by node. Both must
+ * index into the same variables.
+ */
+export function sameNode(a, b) {
+  if (a.constructor !== b.constructor) return false;
+  if (a.hasOwnProperty('index')) return a.index === b.index;
+  if (a.hasOwnProperty('underlying')) {
+    return sameNode(a.underlying, b.underlying);
+  }
+  if (a.hasOwnProperty('lhs')) {
+    return sameNode(a.lhs, b.lhs) && sameNode(a.rhs, b.rhs);
+  }
+  if (a.hasOwnProperty('body')) {
+    return (
+      a.quantifier === b.quantifier &&
+      a.variable === b.variable &&
+      sameNode(a.body, b.body)
+    );
+  }
+  if (a.hasOwnProperty('args')) {
+    return a.name === b.name && a.args.join(',') === b.args.join(',');
+  }
+  return true;
+}
+
+/* Function: allValuations
+ *
+ * Generalizes allAssignments to any list of truth values: every assignment of
+ * the values to n variables, starting with the first value everywhere and
+ * with the first variable changing slowest.
+ */
+export function allValuations(n, values) {
+  let valuations = [];
+  let count = Math.pow(values.length, n);
+  for (let i = 0; i < count; i++) {
+    valuations.push(valuationAt(i, n, values));
+  }
+  return valuations;
+}
+
+/* Function: valuationAt
+ *
+ * Returns row i of allValuations(n, values) without building the others.
+ */
+export function valuationAt(i, n, values) {
+  let valuation = [];
+  for (let j = n - 1; j >= 0; j--) {
+    valuation[j] = values[i % values.length];
+    i = Math.floor(i / values.length);
+  }
+  return valuation;
+}
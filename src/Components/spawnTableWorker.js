@@ -0,0 +1,9 @@
+/* Function: spawnTableWorker
+ *
+ * Starts the worker of tableWorker.js. This is a module of its own because
+ * the test runner cannot load import.meta, so workerClient.js only imports
+ * it where there are workers.
+ */
+export function spawnTableWorker() {
+  return new Worker(new URL('./tableWorker.js', import.meta.url));
+}
@@ -0,0 +1,69 @@
+import { makeSentence } from './sentences';
+
+/* The sentence lists are kept in localStorage as the text the user typed,
+ * which is parsed again on load. The stored object looks like
+ *
+ *   { current: id, workspaces: [{ id, name, sentences: [text, ...] }, ...] }
+ */
+const kStorageKey = 'logic-tables/workspaces';
+
+/* Function: newWorkspace
+ *
+ * Creates a workspace with a fresh id.
+ */
+export function newWorkspace(name, sentences = []) {
+  let id = Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+  return { id: id, name: name, sentences: sentences };
+}
+
+/* Function: loadWorkspaces
+ *
+ * Reads the workspaces from localStorage, falling back to a single empty
+ * workspace if there is nothing (usable) stored.
+ */
+export function loadWorkspaces() {
+  try {
+    let stored = JSON.parse(window.localStorage.getItem(kStorageKey));
+    if (
+      stored &&
+      Array.isArray(stored.workspaces) &&
+      stored.workspaces.some((w) => w.id === stored.current)
+    ) {
+      return stored;
+    }
+  } catch (error) {
+    // storage unavailable or corrupt, start over
+  }
+  let workspace = newWorkspace('Principal');
+  return { current: workspace.id, workspaces: [workspace] };
+}
+
+/* Function: saveWorkspaces
+ *
+ * Writes the workspaces to localStorage. Failing to save (private browsing,
+ * full quota) is not worth interrupting the user for.
+ */
+export function saveWorkspaces(state) {
+  try {
+    window.localStorage.setItem(kStorageKey, JSON.stringify(state));
+  } catch (error) {
+    // nothing to do
+  }
+}
+
+/* Function: hydrate
+ *
+ * Parses the stored texts back into sentences, skipping any that no longer
+ * parse.
+ */
+export function hydrate(texts) {
+  let sentences = [];
+  for (let text of texts) {
+    try {
+      sentences.push(makeSentence(text));
+    } catch (error) {
+      // drop it
+    }
+  }
+  return sentences;
+}
@@ -0,0 +1,479 @@
+import { jointVariables, sameNode, valuationAt } from './sentences';
+import { classical, evaluateNode, relabel } from './logics';
+
+/* The contents of a truth table, independent of how it is shown. A table is
+ * an object with these fields:
+ *
+ *   variables: The names of the variables, one column each.
+ *   columns:   The formulas with a column of their own, as { node, vars }.
+ *   rows:      One { assignment, values, number } per row: the values of the
+ *              variables, the values of the formula columns, and the number
+ *              the row has in the standard order (see rowNumber). A list that
+ *              builds each row when asked for it (see lazyRows).
+ *   logic:     The logic the values are in (see logics.js), labelled for
+ *              display.
+ *
+ * The rows and the variable columns are laid out according to the table
+ * settings, an object with these fields:
+ *
+ *   variableOrder: 'alphabetical', 'appearance' (order of first appearance in
+ *                  the formulas) or 'custom'.
+ *   customOrder:   The variable names in the order the user dragged them
+ *                  into; variables missing from it go last, sorted.
+ *   rowOrder:      'trueFirst' or 'falseFirst' to count from all true or all
+ *                  false, or 'gray' for a Gray code from all true, in which
+ *                  consecutive rows differ in a single variable.
+ *   display:       How to write the values; see valueDisplays in logics.js.
+ */
+export const defaultTableSettings = {
+  variableOrder: 'alphabetical',
+  customOrder: [],
+  rowOrder: 'trueFirst',
+  display: 'logic',
+};
+
+/* The largest table that is shown, in rows. */
+export const kMaxTableRows = 1 << 20;
+
+/* How many rows numberRows goes through between reports of its progress. */
+const kRowsPerStep = 1 << 12;
+
+/* Function: appearanceOrder
+ *
+ * Returns the variables of the sentences in the order they first appear when
+ * the formulas are read left to right.
+ */
+export function appearanceOrder(sentences) {
+  let names = [];
+  let visit = (node, vars) => {
+    if (node.hasOwnProperty('index')) {
+      if (!names.includes(vars[node.index])) names.push(vars[node.index]);
+    } else if (node.hasOwnProperty('underlying')) {
+      visit(node.underlying, vars);
+    } else if (node.hasOwnProperty('lhs')) {
+      visit(node.lhs, vars);
+      visit(node.rhs, vars);
+    }
+  };
+  for (let s of sentences) {
+    visit(s.node, s.vars);
+  }
+  return names;
+}
+
+/* Function: orderVariables
+ *
+ * Returns the variables, which are those of the sentences, in the order the
+ * settings ask for.
+ */
+export function orderVariables(vars, sentences, settings) {
+  let sorted = vars.slice().sort();
+  if (settings.variableOrder === 'appearance') {
+    return appearanceOrder(sentences).filter((v) => vars.includes(v));
+  }
+  if (settings.variableOrder === 'custom') {
+    let first = settings.customOrder.filter((v) => vars.includes(v));
+    return first.concat(sorted.filter((v) => !first.includes(v)));
+  }
+  return sorted;
+}
+
+/* Function: rowNumber
+ *
+ * Returns the number of the row with the given assignment in the standard
+ * order, the one allValuations lists. Highlighted and selected rows are given
+ * by these numbers, so they survive any change of settings.
+ */
+export function rowNumber(assignment, values) {
+  let number = 0;
+  for (let v of assignment) {
+    number = number * values.length + values.indexOf(v);
+  }
+  return number;
+}
+
+/* Returns the digits, each the index of a value, of row i of the reflected
+ * Gray code on n digits in base b: the second half of every block is the
+ * first one backwards.
+ */
+function grayDigits(i, n, b) {
+  let digits = [];
+  for (let block = Math.pow(b, n - 1); digits.length < n; block /= b) {
+    let digit = Math.floor(i / block);
+    i = digit % 2 === 1 ? block - 1 - (i % block) : i % block;
+    digits.push(digit);
+  }
+  return digits;
+}
+
+/* Returns the digits, each the index of a value, of row i in the given row
+ * order of a table on n variables with b values.
+ */
+function rowDigits(i, n, b, rowOrder) {
+  if (rowOrder === 'gray') {
+    return grayDigits(i, n, b);
+  }
+  let digits = [];
+  for (let j = n - 1; j >= 0; j--) {
+    digits[j] = i % b;
+    i = Math.floor(i / b);
+  }
+  return rowOrder === 'falseFirst' ? digits.map((d) => b - 1 - d) : digits;
+}
+
+/* Function: orderedValuations
+ *
+ * Lists every assignment of the values to n variables in the given row order.
+ */
+export function orderedValuations(n, values, rowOrder) {
+  let count = Math.pow(values.length, n);
+  let valuations = [];
+  for (let i = 0; i < count; i++) {
+    valuations.push(
+      rowDigits(i, n, values.length, rowOrder).map((d) => values[d])
+    );
+  }
+  return valuations;
+}
+
+/* Function: rowNumbering
+ *
+ * Returns the function that gives the number in the standard order (see
+ * rowNumber) of row i of a table on vars with base values, laid out with the
+ * variable columns in the order of shown and the rows in the given order.
+ */
+export function rowNumbering(vars, shown, base, rowOrder) {
+  let n = shown.length;
+  let weights = shown.map((v) => Math.pow(base, n - 1 - vars.indexOf(v)));
+  // the same digits as rowDigits, worked out in place since this runs for
+  // every row of big tables
+  if (rowOrder === 'gray') {
+    let blocks = shown.map((v, s) => Math.pow(base, n - 1 - s));
+    return (i) => {
+      let number = 0;
+      for (let s = 0; s < n; s++) {
+        let rest = i % blocks[s];
+        let digit = (i - rest) / blocks[s];
+        i = digit % 2 === 1 ? blocks[s] - 1 - rest : rest;
+        number += digit * weights[s];
+      }
+      return number;
+    };
+  }
+  return (i) => {
+    let number = 0;
+    for (let s = n - 1; s >= 0; s--) {
+      let digit = i % base;
+      i = (i - digit) / base;
+      number +=
+        (rowOrder === 'falseFirst' ? base - 1 - digit : digit) * weights[s];
+    }
+    return number;
+  };
+}
+
+/* Function: lazyRows
+ *
+ * Returns a list of the given length whose items are only built, by calling
+ * build with their index, when they are asked for. It has the length and at
+ * of an array and can be iterated over, which is all the tables need.
+ */
+export function lazyRows(length, build) {
+  return {
+    length: length,
+    at: build,
+    *[Symbol.iterator]() {
+      for (let i = 0; i < length; i++) {
+        yield build(i);
+      }
+    },
+  };
+}
+
+/* Function: subformulas
+ *
+ * Lists the subformulas of the AST that get their own column, in BFS order
+ * from the root. Variables are left out since they already have a column.
+ */
+export function subformulas(node) {
+  let ssnodes = [];
+  let queue = [node];
+  while (queue.length > 0) {
+    let n = queue.shift();
+    if (n.hasOwnProperty('index')) {
+      continue;
+    }
+    ssnodes.push(n);
+    if (n.hasOwnProperty('lhs')) {
+      queue.push(n.rhs);
+      queue.push(n.lhs);
+      continue;
+    }
+    if (n.hasOwnProperty('underlying')) {
+      queue.push(n.underlying);
+      continue;
+    }
+  }
+  return ssnodes;
+}
+
+/* Function: evaluationOrder
+ *
+ * Lists the same subformulas as subformulas, but bottom-up: every subformula
+ * comes after its parts, left to right, so the main formula is last.
+ */
+export function evaluationOrder(node) {
+  if (node.hasOwnProperty('index')) {
+    return [];
+  }
+  if (node.hasOwnProperty('lhs')) {
+    return evaluationOrder(node.lhs).concat(evaluationOrder(node.rhs), [node]);
+  }
+  if (node.hasOwnProperty('underlying')) {
+    return evaluationOrder(node.underlying).concat([node]);
+  }
+  return [node];
+}
+
+/* The options of the table of a single sentence, which only affect that
+ * table. An object with these fields:
+ *
+ *   columnOrder: 'levels' for the subformulas level by level from the main
+ *                formula, or 'evaluation' for bottom-up.
+ *   dedupe:      Whether a subformula that occurs more than once gets a
+ *                single column.
+ *   hidden:      The subformulas whose columns are hidden. Every occurrence
+ *                of a hidden subformula is hidden.
+ *   rowFilter:   'all', 'true' or 'false' for the rows where the main
+ *                formula is designated or not (see logics.js), or 'pinned'
+ *                for the rows that agree with pinned.
+ *   pinned:      The index in the values of the logic each pinned variable
+ *                must have, by name.
+ */
+export const defaultTableView = {
+  columnOrder: 'levels',
+  dedupe: false,
+  hidden: [],
+  rowFilter: 'all',
+  pinned: {},
+};
+
+/* Function: sentenceColumns
+ *
+ * Lists the subformulas of the sentence that the view can show, in its
+ * column order and deduplicated if it asks for it, hidden ones included.
+ */
+export function sentenceColumns(sentence, view = defaultTableView) {
+  let nodes =
+    view.columnOrder === 'evaluation'
+      ? evaluationOrder(sentence.node)
+      : subformulas(sentence.node);
+  if (view.dedupe) {
+    nodes = nodes.filter(
+      (n, i) => nodes.findIndex((m) => sameNode(m, n)) === i
+    );
+  }
+  return nodes;
+}
+
+/* Function: isHidden
+ *
+ * Returns whether the view hides the column of the subformula.
+ */
+export function isHidden(view, node) {
+  return view.hidden.some((n) => sameNode(n, node));
+}
+
+/* Returns whether the row of the sentence with the given assignment passes
+ * the row filter of the view.
+ */
+function passesFilter(view, logic, sentence, assignment) {
+  let designated = () =>
+    logic.designated.includes(evaluateNode(sentence.node, assignment, logic));
+  if (view.rowFilter === 'true') return designated();
+  if (view.rowFilter === 'false') return !designated();
+  if (view.rowFilter === 'pinned') {
+    return sentence.vars.every(
+      (v, i) =>
+        !view.pinned.hasOwnProperty(v) ||
+        logic.values[view.pinned[v]] === undefined ||
+        logic.values[view.pinned[v]] === assignment[i]
+    );
+  }
+  return true;
+}
+
+/* Function: numberRows
+ *
+ * Lists the numbers in the standard order of the rows of the table of the
+ * sentence, in the order the settings lay them out and without those the
+ * row filter of the view leaves out. Going through every row takes long for
+ * big tables, so this is a generator: it yields { done, total } as it goes
+ * and returns the numbers, as a Uint32Array, when it is done (see
+ * tableJobs.js). The table must have at most kMaxTableRows rows.
+ */
+export function* numberRows(
+  sentence,
+  logic = classical,
+  settings = defaultTableSettings,
+  view = defaultTableView
+) {
+  let n = sentence.vars.length;
+  let count = Math.pow(logic.values.length, n);
+  let shown = orderVariables(sentence.vars, [sentence], settings);
+  let numberAt = rowNumbering(
+    sentence.vars,
+    shown,
+    logic.values.length,
+    settings.rowOrder
+  );
+
+  let numbers = new Uint32Array(count);
+  let length = 0;
+  for (let i = 0; i < count; i++) {
+    if (i % kRowsPerStep === 0) {
+      yield { done: i, total: count };
+    }
+    let number = numberAt(i);
+    if (
+      view.rowFilter === 'all' ||
+      passesFilter(view, logic, sentence, valuationAt(number, n, logic.values))
+    ) {
+      numbers[length++] = number;
+    }
+  }
+  return length === count ? numbers : numbers.slice(0, length);
+}
+
+/* Function: runToEnd
+ *
+ * Runs a generator like numberRows to the end at once, and returns what it
+ * returns.
+ */
+export function runToEnd(steps) {
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/* Function: truthTableData
+ *
+ * Builds the table of a sentence with a column per subformula, laid out as
+ * the view asks for. The rows the view filters out and the columns it hides
+ * are left out of the table. The rows are only built when asked for, from
+ * their numbers, which are those numberRows lists; they can be passed in if
+ * they have already been worked out.
+ */
+export function truthTableData(
+  sentence,
+  logic = classical,
+  settings = defaultTableSettings,
+  view = defaultTableView,
+  numbers = null
+) {
+  if (numbers === null) {
+    numbers = runToEnd(numberRows(sentence, logic, settings, view));
+  }
+  let columns = sentenceColumns(sentence, view)
+    .filter((n) => !isHidden(view, n))
+    .map((n) => ({ node: n, vars: sentence.vars }));
+  let shown = orderVariables(sentence.vars, [sentence], settings);
+  let positions = shown.map((v) => sentence.vars.indexOf(v));
+
+  let rows = lazyRows(numbers.length, (i) => {
+    let assignment = valuationAt(
+      numbers[i],
+      sentence.vars.length,
+      logic.values
+    );
+    return {
+      assignment: positions.map((p) => assignment[p]),
+      values: columns.map((c) => evaluateNode(c.node, assignment, logic)),
+      number: numbers[i],
+    };
+  });
+  return {
+    variables: shown,
+    columns: columns,
+    rows: rows,
+    logic: relabel(logic, settings.display),
+  };
+}
+
+/* Function: numberJointRows
+ *
+ * Lists the numbers in the standard order of the rows of the table of the
+ * sentences over their joint variables, in the order the settings lay them
+ * out. A generator like numberRows, for tables of at most kMaxTableRows
+ * rows.
+ */
+export function* numberJointRows(
+  sentences,
+  logic = classical,
+  settings = defaultTableSettings
+) {
+  let vars = jointVariables(sentences);
+  let count = Math.pow(logic.values.length, vars.length);
+  let numberAt = rowNumbering(
+    vars,
+    orderVariables(vars, sentences, settings),
+    logic.values.length,
+    settings.rowOrder
+  );
+
+  let numbers = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    if (i % kRowsPerStep === 0) {
+      yield { done: i, total: count };
+    }
+    numbers[i] = numberAt(i);
+  }
+  return numbers;
+}
+
+/* Function: jointTableData
+ *
+ * Builds the table of several sentences over the union of their variables,
+ * with a column per sentence. As in truthTableData, the rows are built from
+ * their numbers when asked for, and the numbers, which are those
+ * numberJointRows lists, can be passed in.
+ */
+export function jointTableData(
+  sentences,
+  logic = classical,
+  settings = defaultTableSettings,
+  numbers = null
+) {
+  if (numbers === null) {
+    numbers = runToEnd(numberJointRows(sentences, logic, settings));
+  }
+  let vars = jointVariables(sentences);
+  let columns = sentences.map((s) => ({ node: s.node, vars: s.vars }));
+  let shown = orderVariables(vars, sentences, settings);
+  let positions = shown.map((v) => vars.indexOf(v));
+  // where each sentence finds its variables in the joint assignment
+  let indices = sentences.map((s) => s.vars.map((v) => vars.indexOf(v)));
+
+  let rows = lazyRows(numbers.length, (i) => {
+    let assignment = valuationAt(numbers[i], vars.length, logic.values);
+    return {
+      assignment: positions.map((p) => assignment[p]),
+      values: sentences.map((s, j) =>
+        evaluateNode(
+          s.node,
+          indices[j].map((k) => assignment[k]),
+          logic
+        )
+      ),
+      number: numbers[i],
+    };
+  });
+  return {
+    variables: shown,
+    columns: columns,
+    rows: rows,
+    logic: relabel(logic, settings.display),
+  };
+}
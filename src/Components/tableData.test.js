@@ -0,0 +1,169 @@
+import { formatNode } from './formatters';
+import { logics } from './logics';
+import { makeSentence } from './sentences';
+import {
+  defaultTableSettings,
+  defaultTableView,
+  evaluationOrder,
+  numberRows,
+  orderedValuations,
+  orderVariables,
+  rowNumber,
+  rowNumbering,
+  runToEnd,
+  sentenceColumns,
+} from './tableData';
+
+function logic(name) {
+  return logics.find((l) => l.name === name);
+}
+
+const rowOrders = ['trueFirst', 'falseFirst', 'gray'];
+
+const variableOrders = [
+  { variableOrder: 'alphabetical', customOrder: [] },
+  { variableOrder: 'appearance', customOrder: [] },
+  { variableOrder: 'custom', customOrder: ['s', 'q'] },
+];
+
+test('the variable orders lay out the columns as asked', () => {
+  let sentence = makeSentence('(r -> p) /\\ (q \\/ s)');
+  let orders = variableOrders.map((settings) =>
+    orderVariables(sentence.vars, [sentence], settings)
+  );
+  expect(orders).toEqual([
+    ['p', 'q', 'r', 's'],
+    ['r', 'p', 'q', 's'],
+    ['s', 'q', 'p', 'r'],
+  ]);
+});
+
+test('rowNumbering numbers the rows orderedValuations lays out', () => {
+  let sentence = makeSentence('(r -> p) /\\ (q \\/ s)');
+  let vars = sentence.vars;
+  for (let name of ['classical', 'K3']) {
+    let values = logic(name).values;
+    for (let settings of variableOrders) {
+      let shown = orderVariables(vars, [sentence], settings);
+      for (let rowOrder of rowOrders) {
+        let numberAt = rowNumbering(vars, shown, values.length, rowOrder);
+        let rows = orderedValuations(vars.length, values, rowOrder);
+        let numbers = rows.map((row, i) => numberAt(i));
+        let expected = rows.map((row) =>
+          rowNumber(
+            vars.map((v) => row[shown.indexOf(v)]),
+            values
+          )
+        );
+        expect(numbers).toEqual(expected);
+        expect(new Set(numbers).size).toBe(rows.length);
+      }
+    }
+  }
+});
+
+test('the rows start from all true, or all false if asked', () => {
+  for (let name of ['classical', 'K3']) {
+    let values = logic(name).values;
+    let last = values[values.length - 1];
+    expect(orderedValuations(3, values, 'trueFirst')[0]).toEqual(
+      Array(3).fill(values[0])
+    );
+    expect(orderedValuations(3, values, 'gray')[0]).toEqual(
+      Array(3).fill(values[0])
+    );
+    expect(orderedValuations(3, values, 'falseFirst')[0]).toEqual(
+      Array(3).fill(last)
+    );
+  }
+});
+
+test('consecutive rows of the Gray code differ in one variable', () => {
+  for (let name of ['classical', 'K3']) {
+    let values = logic(name).values;
+    for (let n = 1; n <= 4; n++) {
+      let rows = orderedValuations(n, values, 'gray');
+      expect(new Set(rows.map((row) => row.join())).size).toBe(rows.length);
+      for (let i = 1; i < rows.length; i++) {
+        let changed = rows[i].filter((v, j) => v !== rows[i - 1][j]);
+        expect(changed.length).toBe(1);
+      }
+    }
+  }
+});
+
+/* The numbers of the rows numberRows keeps with the given view. */
+function filtered(text, view, l = logic('classical'), settings) {
+  let sentence = makeSentence(text);
+  let numbers = runToEnd(
+    numberRows(sentence, l, settings, { ...defaultTableView, ...view })
+  );
+  return Array.from(numbers);
+}
+
+test('the row filter keeps the rows where the formula is true or false', () => {
+  expect(filtered('p -> q', { rowFilter: 'all' })).toEqual([0, 1, 2, 3]);
+  expect(filtered('p -> q', { rowFilter: 'true' })).toEqual([0, 2, 3]);
+  expect(filtered('p -> q', { rowFilter: 'false' })).toEqual([1]);
+
+  let falseFirst = { ...defaultTableSettings, rowOrder: 'falseFirst' };
+  expect(
+    filtered('p -> q', { rowFilter: 'true' }, logic('classical'), falseFirst)
+  ).toEqual([3, 2, 0]);
+
+  // in LP a contradiction is designated where its variable is undetermined
+  expect(filtered('p /\\ ~p', { rowFilter: 'true' }, logic('LP'))).toEqual([1]);
+  expect(filtered('p /\\ ~p', { rowFilter: 'true' }, logic('K3'))).toEqual([]);
+});
+
+test('the row filter keeps the rows that agree with the pinned variables', () => {
+  let pinned = (values) => ({ rowFilter: 'pinned', pinned: values });
+  expect(filtered('p -> q', pinned({ p: 1 }))).toEqual([2, 3]);
+  expect(filtered('p -> q', pinned({ p: 0, q: 1 }))).toEqual([1]);
+  expect(filtered('p -> q', pinned({}))).toEqual([0, 1, 2, 3]);
+  expect(filtered('p -> q', pinned({ p: 5 }))).toEqual([0, 1, 2, 3]);
+  expect(filtered('p -> q', pinned({ r: 0 }))).toEqual([0, 1, 2, 3]);
+  expect(filtered('p \\/ q', pinned({ q: 1 }), logic('K3'))).toEqual([1, 4, 7]);
+});
+
+function columns(text, view) {
+  let sentence = makeSentence(text);
+  return sentenceColumns(sentence, { ...defaultTableView, ...view }).map(
+    (node) => formatNode(node, sentence.vars, 'ascii')
+  );
+}
+
+test('sentenceColumns gives repeated subformulas one column if asked', () => {
+  let text = '(p /\\ q) \\/ ~(p /\\ q)';
+  let levels = columns(text, { columnOrder: 'levels' });
+  let evaluation = columns(text, { columnOrder: 'evaluation' });
+  expect(levels.length).toBe(4);
+  expect(evaluation.length).toBe(4);
+
+  let dedupedLevels = columns(text, { columnOrder: 'levels', dedupe: true });
+  let dedupedEvaluation = columns(text, {
+    columnOrder: 'evaluation',
+    dedupe: true,
+  });
+  expect(dedupedLevels).toEqual(Array.from(new Set(levels)));
+  expect(dedupedEvaluation).toEqual(Array.from(new Set(evaluation)));
+  expect(dedupedLevels.length).toBe(3);
+  expect(new Set(dedupedEvaluation)).toEqual(new Set(dedupedLevels));
+});
+
+test('evaluationOrder puts every subformula after its parts', () => {
+  let sentence = makeSentence('~(p -> q) \\/ (r /\\ ~p)');
+  let nodes = evaluationOrder(sentence.node);
+  expect(nodes.map((node) => formatNode(node, sentence.vars, 'ascii'))).toEqual(
+    ['(p -> q)', '~(p -> q)', '~p', '(r /\\ ~p)', '(~(p -> q) \\/ (r /\\ ~p))']
+  );
+  expect(nodes[nodes.length - 1]).toBe(sentence.node);
+  for (let i = 0; i < nodes.length; i++) {
+    let parts = [nodes[i].lhs, nodes[i].rhs, nodes[i].underlying];
+    for (let part of parts) {
+      if (part === undefined || part.hasOwnProperty('index')) continue;
+      expect(nodes.indexOf(part)).toBeGreaterThanOrEqual(0);
+      expect(nodes.indexOf(part)).toBeLessThan(i);
+    }
+  }
+});
@@ -0,0 +1,370 @@
+import { jointVariables, makeSentence, valuationAt } from './sentences';
+import { classical, evaluateNode, logics } from './logics';
+import {
+  countModels,
+  findModel,
+  minimalUnsatisfiableSubset,
+  negation,
+} from './sat';
+import { numberJointRows, numberRows } from './tableData';
+
+/* The work that can take long on big tables, done in a Web Worker (see
+ * tableWorker.js and workerClient.js) so the page does not lock up.
+ *
+ * A job is a plain object, so it can be posted to the worker and used as the
+ * key of its result in the cache:
+ *
+ *   kind:     'type' to classify the sentence as tautology, contingency or
+ *             contradiction, or 'rows' for the numbers of the rows of its
+ *             table (see numberRows in tableData.js); 'jointType' and
+ *             'jointRows' do the same for a set of sentences, which is
+ *             satisfiable or not, and their joint table; 'jointDetails'
+ *             for what the title of the joint table says about a set of
+ *             sentences in classical logic (see jointDetails);
+ *             'disagreements' and 'counterexamples' for the rows of the
+ *             joint table where two sentences differ, or where an argument
+ *             fails.
+ *   plain:    The text of the sentence, which the worker parses again, or
+ *             for the joint jobs the list of the texts of the sentences.
+ *   logic:    The name of the logic.
+ *   rows:     The number of rows of the table, which says how long the job
+ *             can take.
+ *   settings: For the rows, the table settings that lay out the rows.
+ *   view:     For 'rows', the row filter of the view and the pinned values.
+ *
+ * Each kind of job is run by a generator, which yields { done, total } as it
+ * goes and returns the result.
+ */
+
+/* How many rows the classification goes through between reports of its
+ * progress.
+ */
+const kRowsPerStep = 1 << 12;
+
+/* How long the runner works before giving way to other messages, in ms. */
+const kSliceMs = 30;
+
+/* Function: typeJob
+ *
+ * Returns the job that classifies the sentence in the logic.
+ */
+export function typeJob(sentence, logic = classical) {
+  return {
+    kind: 'type',
+    plain: sentence.plain,
+    logic: logic.name,
+    rows: Math.pow(logic.values.length, sentence.vars.length),
+  };
+}
+
+/* Function: rowsJob
+ *
+ * Returns the job that lists the rows of the table of the sentence, laid out
+ * with the settings and filtered by the view (see tableData.js).
+ */
+export function rowsJob(sentence, logic, settings, view) {
+  return {
+    kind: 'rows',
+    plain: sentence.plain,
+    logic: logic.name,
+    rows: Math.pow(logic.values.length, sentence.vars.length),
+    settings: {
+      variableOrder: settings.variableOrder,
+      customOrder: settings.customOrder,
+      rowOrder: settings.rowOrder,
+    },
+    view: { rowFilter: view.rowFilter, pinned: view.pinned },
+  };
+}
+
+/* Function: jointTypeJob
+ *
+ * Returns the job that checks whether the sentences can all take a
+ * designated value at once.
+ */
+export function jointTypeJob(sentences, logic = classical) {
+  return {
+    kind: 'jointType',
+    plain: sentences.map((s) => s.plain),
+    logic: logic.name,
+    rows: Math.pow(logic.values.length, jointVariables(sentences).length),
+  };
+}
+
+/* Function: jointRowsJob
+ *
+ * Returns the job that lists the rows of the joint table of the sentences,
+ * laid out with the settings.
+ */
+export function jointRowsJob(sentences, logic, settings) {
+  return {
+    kind: 'jointRows',
+    plain: sentences.map((s) => s.plain),
+    logic: logic.name,
+    rows: Math.pow(logic.values.length, jointVariables(sentences).length),
+    settings: {
+      variableOrder: settings.variableOrder,
+      customOrder: settings.customOrder,
+      rowOrder: settings.rowOrder,
+    },
+  };
+}
+
+/* Function: jointDetailsJob
+ *
+ * Returns the job that finds a model and counts the models of the sentences,
+ * or finds a minimal unsatisfiable subset of them.
+ */
+export function jointDetailsJob(sentences) {
+  return {
+    kind: 'jointDetails',
+    plain: sentences.map((s) => s.plain),
+    logic: classical.name,
+    rows: Math.pow(2, jointVariables(sentences).length),
+  };
+}
+
+/* Function: disagreementsJob
+ *
+ * Returns the job that lists the rows on which a and b differ.
+ */
+export function disagreementsJob(a, b) {
+  return {
+    kind: 'disagreements',
+    plain: [a.plain, b.plain],
+    logic: classical.name,
+    rows: Math.pow(2, jointVariables([a, b]).length),
+  };
+}
+
+/* Function: counterexamplesJob
+ *
+ * Returns the job that lists the rows on which every premise is true and the
+ * conclusion false.
+ */
+export function counterexamplesJob(premises, conclusion) {
+  let sentences = premises.concat([conclusion]);
+  return {
+    kind: 'counterexamples',
+    plain: sentences.map((s) => s.plain),
+    logic: classical.name,
+    rows: Math.pow(2, jointVariables(sentences).length),
+  };
+}
+
+/* Function: sentenceType
+ *
+ * Classifies the sentence as one of logicTypes in TruthTable.js: 0 for a
+ * tautology, 1 for a contingency and 2 for a contradiction. In classical
+ * logic this is decided with the SAT solver; the many-valued logics go
+ * through the rows until both a designated and an undesignated value have
+ * turned up.
+ */
+export function* sentenceType(sentence, logic = classical) {
+  if (logic === classical) {
+    let canBeTrue = findModel([sentence]) !== null;
+    let canBeFalse = findModel([negation(sentence)]) !== null;
+    if (canBeTrue) {
+      return canBeFalse ? 1 : 0;
+    }
+    return 2;
+  }
+
+  let n = sentence.vars.length;
+  let count = Math.pow(logic.values.length, n);
+  let designated = false;
+  let undesignated = false;
+  for (let i = 0; i < count; i++) {
+    if (i % kRowsPerStep === 0) {
+      yield { done: i, total: count };
+    }
+    let a = valuationAt(i, n, logic.values);
+    if (logic.designated.includes(evaluateNode(sentence.node, a, logic))) {
+      designated = true;
+    } else {
+      undesignated = true;
+    }
+    if (designated && undesignated) return 1;
+  }
+  return designated ? 0 : 2;
+}
+
+/* Function: jointType
+ *
+ * Classifies a set of sentences as in JointWrapper in TruthTable.js: 0 if
+ * some row gives all of them a designated value, 2 if none does, and 1 if
+ * there are no sentences. Classical logic asks the SAT solver; the
+ * many-valued logics go through the rows until they find one.
+ */
+export function* jointType(sentences, logic = classical) {
+  if (sentences.length === 0) {
+    return 1;
+  }
+  if (logic === classical) {
+    return findModel(sentences) === null ? 2 : 0;
+  }
+
+  let vars = jointVariables(sentences);
+  let indices = sentences.map((s) => s.vars.map((v) => vars.indexOf(v)));
+  let count = Math.pow(logic.values.length, vars.length);
+  for (let i = 0; i < count; i++) {
+    if (i % kRowsPerStep === 0) {
+      yield { done: i, total: count };
+    }
+    let a = valuationAt(i, vars.length, logic.values);
+    let satisfied = sentences.every((s, j) =>
+      logic.designated.includes(
+        evaluateNode(
+          s.node,
+          indices[j].map((k) => a[k]),
+          logic
+        )
+      )
+    );
+    if (satisfied) return 0;
+  }
+  return 2;
+}
+
+/* Function: jointDetails
+ *
+ * Works out, in classical logic, what the title of the joint table says
+ * about the sentences. Returns an object with these fields:
+ *
+ *   model: A model of the sentences, as findModel returns it, or null.
+ *   count: With a model, the number of models (see countModels).
+ *   core:  Without one, the indices of the sentences of a minimal
+ *          unsatisfiable subset.
+ */
+export function* jointDetails(sentences) {
+  yield { done: 0, total: 1 };
+  let model = findModel(sentences);
+  if (model !== null) {
+    return { model: model, count: countModels(sentences), core: null };
+  }
+  let core = yield* minimalUnsatisfiableSubset(sentences);
+  return { model: null, count: null, core: core };
+}
+
+/* Lists the numbers in the standard order (see rowNumber in tableData.js) of
+ * the rows of the classical joint table of the sentences for which test,
+ * given the values of the sentences, returns true.
+ */
+function* rowsWhere(sentences, test) {
+  let vars = jointVariables(sentences);
+  let indices = sentences.map((s) => s.vars.map((v) => vars.indexOf(v)));
+  let count = Math.pow(2, vars.length);
+  let rows = [];
+  for (let i = 0; i < count; i++) {
+    if (i % kRowsPerStep === 0) {
+      yield { done: i, total: count };
+    }
+    let a = valuationAt(i, vars.length, classical.values);
+    let values = sentences.map((s, j) =>
+      s.node.evaluate(indices[j].map((k) => a[k]))
+    );
+    if (test(values)) rows.push(i);
+  }
+  return Uint32Array.from(rows);
+}
+
+/* Function: disagreementRows
+ *
+ * Lists the rows of the joint table of a and b on which they differ.
+ */
+export function disagreementRows(a, b) {
+  return rowsWhere([a, b], ([x, y]) => x !== y);
+}
+
+/* Function: counterexampleRows
+ *
+ * Lists the rows of the joint table of the premises and the conclusion on
+ * which every premise is true and the conclusion false.
+ */
+export function counterexampleRows(premises, conclusion) {
+  return rowsWhere(
+    premises.concat([conclusion]),
+    (values) =>
+      values.slice(0, -1).every((v) => v) && !values[values.length - 1]
+  );
+}
+
+/* Function: jobSteps
+ *
+ * Returns the generator that runs the job.
+ */
+export function jobSteps(job) {
+  let logic = logics.find((l) => l.name === job.logic) || classical;
+  if (job.kind === 'jointType') {
+    return jointType(job.plain.map(makeSentence), logic);
+  }
+  if (job.kind === 'disagreements') {
+    let [a, b] = job.plain.map(makeSentence);
+    return disagreementRows(a, b);
+  }
+  if (job.kind === 'counterexamples') {
+    let sentences = job.plain.map(makeSentence);
+    return counterexampleRows(sentences.slice(0, -1), sentences.at(-1));
+  }
+  if (job.kind === 'jointDetails') {
+    return jointDetails(job.plain.map(makeSentence));
+  }
+  if (job.kind === 'jointRows') {
+    return numberJointRows(job.plain.map(makeSentence), logic, job.settings);
+  }
+  let sentence = makeSentence(job.plain);
+  if (job.kind === 'rows') {
+    return numberRows(sentence, logic, job.settings, job.view);
+  }
+  return sentenceType(sentence, logic);
+}
+
+/* Function: createRunner
+ *
+ * Runs jobs one after another, a slice of time at a time so that messages,
+ * like cancellations, get through in between. It reports through post with
+ * these messages:
+ *
+ *   { type: 'progress', id, done, total }
+ *   { type: 'done', id, result }
+ *
+ * Returns an object with run(id, job) to queue a job and cancel(id) to drop
+ * it, whether it has started or not.
+ */
+export function createRunner(post) {
+  let queue = [];
+  let timer = null;
+
+  function work() {
+    timer = null;
+    let start = Date.now();
+    while (queue.length > 0 && Date.now() - start < kSliceMs) {
+      let current = queue[0];
+      let step = current.steps.next();
+      if (step.done) {
+        queue.shift();
+        post({ type: 'done', id: current.id, result: step.value });
+      } else {
+        current.progress = step.value;
+      }
+    }
+    if (queue.length > 0) {
+      if (queue[0].progress !== null) {
+        post({ type: 'progress', id: queue[0].id, ...queue[0].progress });
+      }
+      timer = setTimeout(work, 0);
+    }
+  }
+
+  return {
+    run(id, job) {
+      queue.push({ id: id, steps: jobSteps(job), progress: null });
+      if (timer === null) {
+        timer = setTimeout(work, 0);
+      }
+    },
+    cancel(id) {
+      queue = queue.filter((j) => j.id !== id);
+    },
+  };
+}
@@ -0,0 +1,87 @@
+/* global BigInt */
+import { checkArgument } from './argument';
+import { checkEquivalence } from './equivalence';
+import { logics } from './logics';
+import { makeSentence } from './sentences';
+import { jointTableData, runToEnd } from './tableData';
+import {
+  counterexampleRows,
+  disagreementRows,
+  jointDetails,
+  jointRowsJob,
+  jointType,
+  jobSteps,
+} from './tableJobs';
+
+function logic(name) {
+  return logics.find((l) => l.name === name);
+}
+
+test('jointType looks for a row that satisfies every sentence', () => {
+  let contradiction = ['p', '~p'].map(makeSentence);
+  let consistent = ['p -> q', 'q', 'r \\/ ~q'].map(makeSentence);
+  for (let l of logics) {
+    expect(runToEnd(jointType([], l))).toBe(1);
+    expect(runToEnd(jointType(consistent, l))).toBe(0);
+  }
+  expect(runToEnd(jointType(contradiction, logic('classical')))).toBe(2);
+  expect(runToEnd(jointType(contradiction, logic('K3')))).toBe(2);
+  expect(runToEnd(jointType(contradiction, logic('LP')))).toBe(0);
+});
+
+test('the joint table has a row for every assignment to the variables', () => {
+  let sentences = ['p -> q', 'q <-> r'].map(makeSentence);
+  let settings = {
+    variableOrder: 'alphabetical',
+    customOrder: [],
+    rowOrder: 'gray',
+    display: 'logic',
+  };
+  let k3 = logic('K3');
+  let numbers = runToEnd(jobSteps(jointRowsJob(sentences, k3, settings)));
+  let table = jointTableData(sentences, k3, settings, numbers);
+  expect(table.variables).toEqual(['p', 'q', 'r']);
+  expect(table.rows.length).toBe(27);
+  expect(new Set(numbers).size).toBe(27);
+
+  for (let row of table.rows) {
+    let [p, q, r] = row.assignment;
+    expect(row.values).toEqual([
+      Math.max(1 - p, q),
+      Math.min(Math.max(1 - q, r), Math.max(1 - r, q)),
+    ]);
+  }
+});
+
+test('jointDetails counts the models or finds a minimal unsatisfiable core', () => {
+  let satisfiable = runToEnd(
+    jointDetails(['p -> q', 'q \\/ r'].map(makeSentence))
+  );
+  expect(satisfiable.count).toBe(BigInt(5));
+  expect(satisfiable.core).toBeNull();
+
+  let unsatisfiable = ['p', 'r', 'p -> q', 'r \\/ q', '~q'].map(makeSentence);
+  let details = runToEnd(jointDetails(unsatisfiable));
+  expect(details.model).toBeNull();
+  expect(details.core).toEqual([0, 2, 4]);
+});
+
+test('disagreementRows lists the rows on which two sentences differ', () => {
+  let [a, b, c] = ['p -> q', 'q \\/ p', '~p \\/ q'].map(makeSentence);
+  expect(checkEquivalence(a, b).equivalent).toBe(false);
+  expect(Array.from(runToEnd(disagreementRows(a, b)))).toEqual([1, 3]);
+  expect(checkEquivalence(a, c).equivalent).toBe(true);
+  expect(runToEnd(disagreementRows(a, c)).length).toBe(0);
+});
+
+test('counterexampleRows lists the rows on which an argument fails', () => {
+  let [implication, p, q] = ['p -> q', 'p', 'q'].map(makeSentence);
+  let check = checkArgument([implication, q], p);
+  expect(check.valid).toBe(false);
+  expect(check.counterexample).toEqual({ p: false, q: true });
+  expect(Array.from(runToEnd(counterexampleRows([implication, q], p)))).toEqual(
+    [2]
+  );
+  expect(checkArgument([implication, p], q).valid).toBe(true);
+  expect(runToEnd(counterexampleRows([implication, p], q)).length).toBe(0);
+});
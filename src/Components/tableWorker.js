@@ -0,0 +1,21 @@
+/* global globalThis */
+import { createRunner } from './tableJobs';
+
+/* The Web Worker that runs the table jobs (see tableJobs.js). It takes the
+ * messages { type: 'run', id, job } and { type: 'cancel', id }, and posts
+ * back those of the runner. The row numbers are handed over, not copied.
+ */
+const runner = createRunner((message) =>
+  globalThis.postMessage(
+    message,
+    message.result instanceof Uint32Array ? [message.result.buffer] : []
+  )
+);
+
+globalThis.onmessage = (e) => {
+  if (e.data.type === 'run') {
+    runner.run(e.data.id, e.data.job);
+  } else if (e.data.type === 'cancel') {
+    runner.cancel(e.data.id);
+  }
+};
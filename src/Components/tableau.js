@@ -0,0 +1,360 @@
+import {
+  andNode,
+  falseNode,
+  iffNode,
+  impliesNode,
+  nandNode,
+  negateNode,
+  norNode,
+  orNode,
+  trueNode,
+  variableNode,
+  xorNode,
+} from './parser';
+import { formatNode } from './formatters';
+import { jointVariables, remapVariables } from './sentences';
+
+/* Analytic tableaux (truth trees).
+ *
+ * A tableau is a tree whose nodes hold a list of entries, each a formula with
+ * the number of the line it is on, the rule that produced it and the line it
+ * came from. A branch is the list of entries from the root to a leaf, and is
+ * read as the conjunction of its formulas.
+ *
+ * Formulas are expanded with α rules, which add their results to the branch,
+ * and β rules, which split it in two. α rules go first so that branches are
+ * split as late as possible. A branch closes as soon as it has a formula and
+ * its negation, or ⊥; a branch where nothing is left to expand stays open, and
+ * its literals give a model of the formulas at the root.
+ */
+
+/* Tableaux with more lines than this are cut off. */
+export const kMaxTableauLines = 500;
+
+function not(n) {
+  return new negateNode(n);
+}
+
+/* Each rule returns null if it does not apply, and otherwise the formulas it
+ * adds: a single list for α rules, one list per new branch for β rules.
+ */
+const tableauRules = [
+  {
+    name: '¬¬',
+    kind: 'alpha',
+    apply: (n) =>
+      n instanceof negateNode && n.underlying instanceof negateNode
+        ? [[n.underlying.underlying]]
+        : null,
+  },
+  {
+    name: '∧',
+    kind: 'alpha',
+    apply: (n) => (n instanceof andNode ? [[n.lhs, n.rhs]] : null),
+  },
+  {
+    name: '¬∨',
+    kind: 'alpha',
+    apply: (n) =>
+      n instanceof negateNode && n.underlying instanceof orNode
+        ? [[not(n.underlying.lhs), not(n.underlying.rhs)]]
+        : null,
+  },
+  {
+    name: '¬→',
+    kind: 'alpha',
+    apply: (n) =>
+      n instanceof negateNode && n.underlying instanceof impliesNode
+        ? [[n.underlying.lhs, not(n.underlying.rhs)]]
+        : null,
+  },
+  {
+    name: '¬↑',
+    kind: 'alpha',
+    apply: (n) =>
+      n instanceof negateNode && n.underlying instanceof nandNode
+        ? [[n.underlying.lhs, n.underlying.rhs]]
+        : null,
+  },
+  {
+    name: '↓',
+    kind: 'alpha',
+    apply: (n) => (n instanceof norNode ? [[not(n.lhs), not(n.rhs)]] : null),
+  },
+  {
+    name: '∨',
+    kind: 'beta',
+    apply: (n) => (n instanceof orNode ? [[n.lhs], [n.rhs]] : null),
+  },
+  {
+    name: '¬∧',
+    kind: 'beta',
+    apply: (n) =>
+      n instanceof negateNode && n.underlying instanceof andNode
+        ? [[not(n.underlying.lhs)], [not(n.underlying.rhs)]]
+        : null,
+  },
+  {
+    name: '→',
+    kind: 'beta',
+    apply: (n) => (n instanceof impliesNode ? [[not(n.lhs)], [n.rhs]] : null),
+  },
+  {
+    name: '↔',
+    kind: 'beta',
+    apply: (n) =>
+      n instanceof iffNode
+        ? [
+            [n.lhs, n.rhs],
+            [not(n.lhs), not(n.rhs)],
+          ]
+        : null,
+  },
+  {
+    name: '¬↔',
+    kind: 'beta',
+    apply: (n) =>
+      n instanceof negateNode && n.underlying instanceof iffNode
+        ? [
+            [n.underlying.lhs, not(n.underlying.rhs)],
+            [not(n.underlying.lhs), n.underlying.rhs],
+          ]
+        : null,
+  },
+  {
+    name: '⊕',
+    kind: 'beta',
+    apply: (n) =>
+      n instanceof xorNode
+        ? [
+            [n.lhs, not(n.rhs)],
+            [not(n.lhs), n.rhs],
+          ]
+        : null,
+  },
+  {
+    name: '¬⊕',
+    kind: 'beta',
+    apply: (n) =>
+      n instanceof negateNode && n.underlying instanceof xorNode
+        ? [
+            [n.underlying.lhs, n.underlying.rhs],
+            [not(n.underlying.lhs), not(n.underlying.rhs)],
+          ]
+        : null,
+  },
+  {
+    name: '↑',
+    kind: 'beta',
+    apply: (n) => (n instanceof nandNode ? [[not(n.lhs)], [not(n.rhs)]] : null),
+  },
+  {
+    name: '¬↓',
+    kind: 'beta',
+    apply: (n) =>
+      n instanceof negateNode && n.underlying instanceof norNode
+        ? [[n.underlying.lhs], [n.underlying.rhs]]
+        : null,
+  },
+];
+
+/* Function: ruleFor
+ *
+ * Returns the rule that expands the formula together with its results, or
+ * null for literals and constants, which are never expanded.
+ */
+export function ruleFor(node) {
+  for (let rule of tableauRules) {
+    let results = rule.apply(node);
+    if (results !== null) {
+      return { name: rule.name, kind: rule.kind, results: results };
+    }
+  }
+  return null;
+}
+
+/* Function: validityTableau
+ *
+ * Builds the tableau that tests whether the sentence is a tautology, by
+ * assuming its negation. The open branches are countermodels.
+ */
+export function validityTableau(sentence) {
+  return buildTableau([not(sentence.node)], sentence.vars);
+}
+
+/* Function: jointTableau
+ *
+ * Builds the tableau that tests whether the sentences can all be true at once.
+ * The open branches are models of the set.
+ */
+export function jointTableau(sentences) {
+  let vars = jointVariables(sentences);
+  return buildTableau(
+    sentences.map((s) => remapVariables(s.node, s.vars, vars)),
+    vars
+  );
+}
+
+/* Function: buildTableau
+ *
+ * Builds the tableau for the given formulas, all indexing into vars. Returns
+ * an object with these fields:
+ *
+ *   root:      The root node of the tree. Every node has entries and children;
+ *              leaves also have a status of 'closed', 'open' or 'truncated',
+ *              closed leaves the lines that contradict each other in closedBy
+ *              and open leaves the model their literals describe.
+ *   closed:    Whether every branch closed.
+ *   models:    The models of the open branches, as objects mapping variable
+ *              names to booleans. Variables missing from a model can take
+ *              either value.
+ *   truncated: Whether the tableau was cut off at kMaxTableauLines.
+ */
+export function buildTableau(formulas, vars) {
+  let state = { lines: 0, truncated: false, models: [], vars: vars };
+  let entries = formulas.map((f) => makeEntry(state, f, 'Supuesto', null));
+  let root = { entries: entries, children: [] };
+
+  let path = [];
+  let closedBy = null;
+  for (let e of entries) {
+    path.push(e);
+    closedBy = closedBy || contradiction(path, e);
+  }
+  if (closedBy !== null) {
+    root.status = 'closed';
+    root.closedBy = closedBy;
+  } else {
+    grow(
+      state,
+      root,
+      path,
+      entries.filter((e) => ruleFor(e.node) !== null)
+    );
+  }
+
+  return {
+    root: root,
+    closed: state.models.length === 0 && !state.truncated,
+    models: state.models,
+    truncated: state.truncated,
+  };
+}
+
+function makeEntry(state, node, rule, from) {
+  state.lines++;
+  return {
+    line: state.lines,
+    node: node,
+    key: formatNode(node, state.vars, 'ascii'),
+    rule: rule,
+    from: from,
+  };
+}
+
+/* Returns the lines that close the branch because of the new entry, or null
+ * if it does not close it.
+ */
+function contradiction(path, entry) {
+  let n = entry.node;
+  if (
+    n instanceof falseNode ||
+    (n instanceof negateNode && n.underlying instanceof trueNode)
+  ) {
+    return [entry.line];
+  }
+  for (let other of path) {
+    if (other.key === '~' + entry.key || entry.key === '~' + other.key) {
+      return [other.line, entry.line];
+    }
+  }
+  return null;
+}
+
+/* Function: grow
+ *
+ * Expands the pending entries of the branch ending at the tree node, adding
+ * α results to the node itself and β results as new children.
+ */
+function grow(state, treeNode, path, pending) {
+  for (;;) {
+    if (state.lines > kMaxTableauLines) {
+      state.truncated = true;
+      treeNode.status = 'truncated';
+      return;
+    }
+
+    if (pending.length === 0) {
+      treeNode.status = 'open';
+      treeNode.model = modelOf(state.vars, path);
+      state.models.push(treeNode.model);
+      return;
+    }
+    let index = pending.findIndex((e) => ruleFor(e.node).kind === 'alpha');
+    if (index === -1) index = 0;
+
+    let entry = pending[index];
+    let rule = ruleFor(entry.node);
+    let rest = pending.filter((e, i) => i !== index);
+
+    if (rule.kind === 'alpha') {
+      let added = rule.results[0].map((f) =>
+        makeEntry(state, f, rule.name, entry.line)
+      );
+      for (let e of added) {
+        treeNode.entries.push(e);
+        path = path.concat([e]);
+        let closedBy = contradiction(path, e);
+        if (closedBy !== null) {
+          treeNode.status = 'closed';
+          treeNode.closedBy = closedBy;
+          return;
+        }
+      }
+      pending = rest.concat(added.filter((e) => ruleFor(e.node) !== null));
+      continue;
+    }
+
+    for (let results of rule.results) {
+      let child = { entries: [], children: [] };
+      treeNode.children.push(child);
+      let branch = path;
+      let closedBy = null;
+      for (let f of results) {
+        let e = makeEntry(state, f, rule.name, entry.line);
+        child.entries.push(e);
+        branch = branch.concat([e]);
+        closedBy = contradiction(branch, e);
+        if (closedBy !== null) break;
+      }
+      if (closedBy !== null) {
+        child.status = 'closed';
+        child.closedBy = closedBy;
+      } else {
+        grow(
+          state,
+          child,
+          branch,
+          rest.concat(child.entries.filter((e) => ruleFor(e.node) !== null))
+        );
+      }
+    }
+    return;
+  }
+}
+
+/* Reads the model off the literals of an open branch. */
+function modelOf(vars, path) {
+  let model = {};
+  for (let e of path) {
+    if (e.node instanceof variableNode) {
+      model[vars[e.node.index]] = true;
+    } else if (
+      e.node instanceof negateNode &&
+      e.node.underlying instanceof variableNode
+    ) {
+      model[vars[e.node.underlying.index]] = false;
+    }
+  }
+  return model;
+}
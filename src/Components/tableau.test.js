@@ -0,0 +1,57 @@
+import { makeSentence } from './sentences';
+import { jointTableau, validityTableau } from './tableau';
+
+const tautologies = [
+  'p \\/ ~p',
+  '((p -> q) -> p) -> p',
+  '(p -> q) <-> (~q -> ~p)',
+  '~(p /\\ q) <-> (~p \\/ ~q)',
+  '(p -> (q -> r)) -> ((p -> q) -> (p -> r))',
+  '(p xor q) <-> ~(p <-> q)',
+];
+
+const nonTautologies = [
+  'p',
+  'p -> q',
+  '(p -> q) -> (q -> p)',
+  '(p \\/ q) -> (p /\\ q)',
+  '(p nand q) -> ~p',
+];
+
+test('the tableau of a tautology closes', () => {
+  for (let text of tautologies) {
+    let tableau = validityTableau(makeSentence(text));
+    expect(tableau.closed).toBe(true);
+    expect(tableau.models).toEqual([]);
+    expect(tableau.truncated).toBe(false);
+  }
+});
+
+test('the open branches of a non-tautology are countermodels', () => {
+  for (let text of nonTautologies) {
+    let sentence = makeSentence(text);
+    let tableau = validityTableau(sentence);
+    expect(tableau.closed).toBe(false);
+    expect(tableau.models.length).toBeGreaterThan(0);
+
+    /* Variables a branch leaves out can take either value. */
+    for (let model of tableau.models) {
+      for (let fill of [true, false]) {
+        let row = sentence.vars.map((v) =>
+          model.hasOwnProperty(v) ? model[v] : fill
+        );
+        expect(sentence.node.evaluate(row)).toBe(false);
+      }
+    }
+  }
+});
+
+test('jointTableau tests whether sentences can be true together', () => {
+  let inconsistent = ['p -> q', 'p', '~q'].map(makeSentence);
+  expect(jointTableau(inconsistent).closed).toBe(true);
+
+  let consistent = ['p -> q', 'q', '~p'].map(makeSentence);
+  let tableau = jointTableau(consistent);
+  expect(tableau.closed).toBe(false);
+  expect(tableau.models).toContainEqual({ p: false, q: true });
+});
@@ -0,0 +1,155 @@
+import { useEffect, useState } from 'react';
+import { createRunner, jobSteps } from './tableJobs';
+import { runToEnd } from './tableData';
+
+/* Hands the jobs of tableJobs.js to the worker and keeps their results.
+ *
+ * Jobs on tables of up to kMaxSyncRows rows are quick enough to run right
+ * away, which spares small tables a flash of progress. The rest go to the
+ * worker, or to a runner on the page itself where there are no workers, as
+ * in the tests. Results are cached by job, so each sentence is only worked
+ * out once for each logic and layout.
+ */
+
+const kMaxSyncRows = 1 << 12;
+
+/* The most results the cache keeps; the ones used least recently go first. */
+const kMaxCachedResults = 32;
+
+const cache = new Map();
+
+/* The jobs that have been handed over and have not finished, by key, as
+ * { id, listeners }.
+ */
+const pending = new Map();
+
+let nextId = 0;
+let backend = null;
+
+function remember(key, result) {
+  cache.delete(key);
+  cache.set(key, result);
+  if (cache.size > kMaxCachedResults) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+function receive(message) {
+  for (let [key, task] of pending) {
+    if (task.id !== message.id) continue;
+    if (message.type === 'done') {
+      pending.delete(key);
+      remember(key, message.result);
+    }
+    task.listeners.forEach((listener) => listener(message));
+    return;
+  }
+}
+
+/* Returns what runs the jobs, with run(id, job) and cancel(id) as in
+ * createRunner. The worker is started the first time it is needed; if it
+ * cannot be, the jobs run on the page.
+ */
+function getBackend() {
+  if (backend !== null) {
+    return backend;
+  }
+  if (typeof Worker === 'undefined') {
+    backend = createRunner(receive);
+    return backend;
+  }
+
+  let worker = null;
+  let queued = [];
+  let send = (message) =>
+    worker === null ? queued.push(message) : worker.postMessage(message);
+  import('./spawnTableWorker')
+    .then(({ spawnTableWorker }) => {
+      worker = spawnTableWorker();
+      worker.onmessage = (e) => receive(e.data);
+      queued.forEach((message) => worker.postMessage(message));
+    })
+    .catch(() => {
+      backend = createRunner(receive);
+      for (let message of queued) {
+        if (message.type === 'run') backend.run(message.id, message.job);
+        else backend.cancel(message.id);
+      }
+    });
+  backend = {
+    run: (id, job) => send({ type: 'run', id: id, job: job }),
+    cancel: (id) => send({ type: 'cancel', id: id }),
+  };
+  return backend;
+}
+
+/* Calls listener with the messages about the job, starting it unless it is
+ * already running. Returns the function that stops listening, which cancels
+ * the job once nobody else is listening either.
+ */
+function subscribe(key, job, listener) {
+  let task = pending.get(key);
+  if (task === undefined) {
+    task = { id: nextId++, listeners: new Set() };
+    pending.set(key, task);
+    getBackend().run(task.id, job);
+  }
+  task.listeners.add(listener);
+  return () => {
+    task.listeners.delete(listener);
+    if (task.listeners.size === 0 && pending.get(key) === task) {
+      pending.delete(key);
+      getBackend().cancel(task.id);
+    }
+  };
+}
+
+/* Function: useTableJob
+ *
+ * Runs the job, or nothing if it is null, for a component. Returns an object
+ * with these fields:
+ *
+ *   result:    The result of the job, or null until it is done.
+ *   progress:  The last { done, total } the job reported, or null.
+ *   cancelled: Whether cancel was called for this job.
+ *   cancel:    Stops the job.
+ *   retry:     Starts a cancelled job again.
+ *
+ * The job is also cancelled if the component goes away or asks for another
+ * job before it is done.
+ */
+export function useTableJob(job) {
+  let key = job === null ? null : JSON.stringify(job);
+  if (key !== null && !cache.has(key) && job.rows <= kMaxSyncRows) {
+    remember(key, runToEnd(jobSteps(job)));
+  }
+  let result = key !== null && cache.has(key) ? cache.get(key) : null;
+  let missing = key !== null && result === null;
+
+  const [progress, setProgress] = useState(null);
+  const [cancelled, setCancelled] = useState(null);
+  const [, setFinished] = useState(0);
+  let stopped = key !== null && cancelled === key;
+
+  useEffect(() => {
+    if (!missing || stopped) {
+      return;
+    }
+    setProgress(null);
+    return subscribe(key, JSON.parse(key), (message) => {
+      if (message.type === 'progress') {
+        setProgress({ done: message.done, total: message.total });
+      } else {
+        setFinished((n) => n + 1);
+      }
+    });
+  }, [key, missing, stopped]);
+
+  return {
+    result: result,
+    progress: missing ? progress : null,
+    cancelled: stopped,
+    cancel: () => setCancelled(key),
+    retry: () => setCancelled(null),
+  };
+}